@@ -0,0 +1,61 @@
+import { validateClaim } from "./validation.js";
+import { checkCoverage, findingText } from "./coverage.js";
+import { scoreClaim } from "./fraud.js";
+import { getSchema } from "./schemas.js";
+import { rerouteClaim, reviseClaim } from "./workflow.js";
+import { recalculateSettlement } from "./settlement.js";
+import { fieldLabels, t } from "./i18n.js";
+
+/* =========================
+   AMENDMENTS
+   Changing the fields of a filed claim, whether an
+   adjuster does it or the policyholder (chat or
+   POST /api/claims/:id/amendments). Which fields the
+   policyholder may touch is up to workflow.js.
+========================= */
+
+/**
+ * Validates the claim as it would be after `updates`. Only
+ * coverage rejections caused by the change block it; policy-level
+ * findings (e.g. since expired) are recorded, not enforced.
+ * Resolves to { updates, eligibility } with the values normalized,
+ * or { error } worded in `lang`.
+ */
+export async function checkAmendment(claim, updates, policy, lang = "en") {
+  const schema = getSchema(claim.schema);
+  const keys = Object.keys(updates);
+  const updated = { ...claim, ...updates };
+
+  const v = await validateClaim(updated, null, schema, lang);
+  if (v.error) return { error: v.error };
+
+  const emptied = v.missing.filter(f => keys.includes(f));
+  if (emptied.length) {
+    const labels = fieldLabels(schema, lang);
+    return { error: t(lang, "amend.cannot_be_empty", { fields: emptied.map(f => labels[f]).join(", ") }) };
+  }
+
+  const eligibility = policy ? checkCoverage(updated, policy) : null;
+  const blocking = eligibility?.rejections.filter(r => keys.includes(r.field)) ?? [];
+  if (blocking.length) return { error: blocking.map(r => findingText(r, lang)).join(" ") };
+
+  return { updates: Object.fromEntries(keys.map(k => [k, updated[k]])), eligibility };
+}
+
+/**
+ * Applies a checked amendment inside updateClaim: records the
+ * revision, scores the claim again against the policy's other
+ * claims and recalculates its settlement. Returns the revision,
+ * or null when nothing changed.
+ */
+export function applyAmendment(claim, checked, { by, source, reason, policy, others }) {
+  if (checked.eligibility) claim.eligibility = checked.eligibility;
+
+  const revision = reviseClaim(claim, checked.updates, { by, source, reason });
+  if (!revision) return null;
+
+  claim.risk = scoreClaim(claim, policy, others);
+  rerouteClaim(claim, by);
+  recalculateSettlement(claim, policy, { by });
+  return revision;
+}
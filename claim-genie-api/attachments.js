@@ -0,0 +1,111 @@
+import multer from "multer";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { t } from "./i18n.js";
+import { inSandbox } from "./db.js";
+
+/* =========================
+   ATTACHMENTS
+   Garage bills, invoices and accident photos,
+   kept on local disk under uploads/.
+========================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const UPLOAD_DIR = path.join(__dirname, "uploads");
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const ALLOWED_TYPES = {
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/webp": [".webp"],
+  "application/pdf": [".pdf"],
+  "text/plain": [".txt"]
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) =>
+    fs.mkdir(UPLOAD_DIR, { recursive: true }, err => cb(err, UPLOAD_DIR)),
+  filename: (req, file, cb) =>
+    cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`)
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const exts = ALLOWED_TYPES[file.mimetype];
+    if (!exts || !exts.includes(path.extname(file.originalname).toLowerCase()))
+      return cb(Object.assign(new Error("Unsupported file type"), { code: "UNSUPPORTED_TYPE" }));
+    cb(null, true);
+  }
+}).single("file");
+
+/* =========================
+   HELPERS
+========================= */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Runs the multipart parser. Resolves to { file } or to
+ * { status, error } with a message fit for the chat, in the
+ * `language` form field when it was sent before the file.
+ */
+export function receiveFile(req, res) {
+  return new Promise(resolve => {
+    upload(req, res, err => {
+      const lang = req.body?.language;
+      if (err?.code === "LIMIT_FILE_SIZE")
+        return resolve({ status: 413, error: t(lang, "upload.too_large", { limit: formatSize(MAX_UPLOAD_BYTES) }) });
+      if (err?.code === "UNSUPPORTED_TYPE") return resolve({ status: 415, error: t(lang, "upload.unsupported") });
+      if (err) return resolve({ status: 400, error: t(lang, "upload.failed") });
+      if (!req.file) return resolve({ status: 400, error: t(lang, "upload.no_file") });
+      resolve({ file: req.file });
+    });
+  });
+}
+
+export function toAttachment(file, by) {
+  return {
+    id: path.parse(file.filename).name,
+    filename: file.originalname,
+    storedName: file.filename,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: by
+  };
+}
+
+export function attachmentPath(attachment) {
+  return path.join(UPLOAD_DIR, attachment.storedName);
+}
+
+export function attachmentUrl(claimId, attachment) {
+  return `/api/claims/${claimId}/attachments/${attachment.id}`;
+}
+
+export async function discardFile(file) {
+  await fs.promises.rm(file.path, { force: true });
+}
+
+// A transcript replay leaves the real files alone
+export async function removeAttachmentFiles(attachments = []) {
+  if (inSandbox()) return;
+  await Promise.all(attachments.map(a => fs.promises.rm(attachmentPath(a), { force: true })));
+}
+
+export function formatAttachments(claim, lang) {
+  if (!claim.attachments?.length) return "";
+  return (
+    t(lang, "upload.attachments") + "\n" +
+    claim.attachments
+      .map(a => `• ${a.filename} (${formatSize(a.size)})\n   ⬇ ${attachmentUrl(claim.claimId, a)}`)
+      .join("\n")
+  );
+}
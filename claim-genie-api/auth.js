@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { deleteToken, getTokenUser, getUser, saveToken } from "./store.js";
+
+/* =========================
+   STAFF ACCESS
+   Agents, adjusters and admins sign in with a
+   username and password and get a bearer token.
+   Customers never sign in: whoever uses the chat
+   without a token is a customer, and sees only the
+   policy they verified with a one-time code.
+
+   Routes declare who may call them with allow();
+   admins may call everything.
+========================= */
+export const ROLES = ["customer", "agent", "adjuster", "admin"];
+export const STAFF_ROLES = ["agent", "adjuster", "admin"];
+
+const ROLE_TITLES = { agent: "Agent", adjuster: "Adjuster", admin: "Admin" };
+
+const TOKEN_TTL_MS = (Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME = /^[a-z0-9._-]{3,32}$/i;
+
+// Repeated wrong passwords lock the username for a while, from that client only,
+// so nobody can lock a colleague out from elsewhere
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const scrypt = promisify(crypto.scrypt);
+
+/* =========================
+   PASSWORDS
+   Stored as scrypt$<salt>$<hash>.
+========================= */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown, so a miss takes as long as a wrong password
+let dummyHash;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/* =========================
+   USERS
+========================= */
+export function publicUser(user) {
+  return { username: user.username, name: user.name, role: user.role };
+}
+
+// How a staff member appears in claim history, e.g. "Priya (Agent)"
+export function actorName(user) {
+  return `${user.name} (${ROLE_TITLES[user.role] ?? user.role})`;
+}
+
+/**
+ * Checks the fields of a new or changed user. Returns a list of
+ * problems, empty when there are none.
+ */
+export function checkUser({ username, name, role, password }, { creating = false } = {}) {
+  const errors = [];
+  if (creating || username !== undefined)
+    if (!USERNAME.test(String(username ?? "")))
+      errors.push("username must be 3 to 32 letters, digits, dots, dashes or underscores");
+  if ((creating || name !== undefined) && !String(name ?? "").trim()) errors.push("name is required");
+  if ((creating || role !== undefined) && !STAFF_ROLES.includes(role))
+    errors.push(`role must be one of: ${STAFF_ROLES.join(", ")}`);
+  if ((creating || password !== undefined) && String(password ?? "").length < MIN_PASSWORD_LENGTH)
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  return errors;
+}
+
+/* =========================
+   SIGN IN
+========================= */
+// "username|client" → { count, since }
+const failures = new Map();
+
+function forgetStaleFailures() {
+  const now = Date.now();
+  for (const [key, entry] of failures) if (now - entry.since > LOCKOUT_MS) failures.delete(key);
+}
+
+function lockedOut(key) {
+  return (failures.get(key)?.count ?? 0) >= MAX_FAILED_LOGINS;
+}
+
+function recordFailure(key) {
+  const entry = failures.get(key) ?? { count: 0, since: Date.now() };
+  entry.count++;
+  failures.set(key, entry);
+}
+
+/**
+ * `client` is the caller's address. Resolves to
+ * { token, expiresAt, user } or { error }.
+ */
+export async function login(username, password, client = "") {
+  const name = String(username ?? "").trim().toLowerCase();
+  if (!name || !password) return { error: "Enter your username and password." };
+
+  forgetStaleFailures();
+  const key = `${name}|${client}`;
+  if (lockedOut(key)) return { error: "Too many failed sign-ins. Please try again later." };
+
+  const user = await getUser(name);
+  dummyHash ??= await hashPassword(crypto.randomUUID());
+  const ok = await verifyPassword(String(password), user?.passwordHash ?? dummyHash);
+  if (!user || !ok || !user.active) {
+    recordFailure(key);
+    return { error: "Wrong username or password." };
+  }
+  failures.delete(key);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS).toISOString();
+  await saveToken(hashToken(token), user.username, expiresAt);
+  return { token, expiresAt, user: publicUser(user) };
+}
+
+export async function logout(token) {
+  await deleteToken(hashToken(token));
+}
+
+/* =========================
+   MIDDLEWARE
+========================= */
+/**
+ * Sets req.user from an "Authorization: Bearer" header, or to
+ * null without one. A token that is unknown or expired is a 401.
+ */
+export async function authenticate(req, res, next) {
+  req.user = null;
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") ?? "");
+  if (!match) return next();
+
+  const user = await getTokenUser(hashToken(match[1]));
+  if (!user) return res.status(401).json({ error: "Your sign-in has expired. Please sign in again." });
+
+  req.user = publicUser(user);
+  req.token = match[1];
+  next();
+}
+
+/**
+ * Lets the request through if the caller has one of `roles`.
+ * "customer" admits callers without a token.
+ */
+export function allow(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (roles.includes("customer")) return next();
+      return res.status(401).json({ error: "Please sign in." });
+    }
+    if (req.user.role === "admin" || roles.includes(req.user.role)) return next();
+    const staff = roles.filter(r => r !== "customer");
+    res.status(403).json({ error: `Only ${staff.length ? staff.join(" or ") : "admin"} staff can do this.` });
+  };
+}
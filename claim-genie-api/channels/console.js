@@ -0,0 +1,14 @@
+/* =========================
+   CONSOLE SINK
+   Prints who a message went to and its subject, never
+   the body, which can carry a verification code.
+========================= */
+export function createConsoleSink() {
+  return {
+    name: "console",
+
+    async send({ channel, to, subject }) {
+      console.log(`📨 ${channel} to ${to}${subject ? ` — ${subject}` : ""}`);
+    }
+  };
+}
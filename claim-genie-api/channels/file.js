@@ -0,0 +1,19 @@
+import fs from "fs/promises";
+
+/* =========================
+   FILE SINK
+   Appends each message to a JSON-lines file so it
+   can be read during development. Nothing leaves
+   the machine.
+========================= */
+export function createFileSink({ file }) {
+  return {
+    name: "file",
+
+    async send(message) {
+      const entry = { at: new Date().toISOString(), ...message };
+      await fs.appendFile(file, JSON.stringify(entry) + "\n", "utf-8");
+      console.log(`📨 ${message.channel} to ${message.to}: ${message.subject ?? message.text}`);
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createFileSink } from "./file.js";
+import { createConsoleSink } from "./console.js";
+import { createWebhookSink } from "./webhook.js";
+
+/* =========================
+   CHANNEL SELECTION
+   Each channel (email, sms) delivers through a sink:
+   EMAIL_SINK / SMS_SINK = file | console | webhook,
+   both defaulting to NOTIFY_SINK, then file.
+   Every sink exposes name and send(message), which
+   throws when the message was not delivered.
+========================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CHANNELS = ["email", "sms"];
+
+export function createSink(name, env = process.env) {
+  switch (name) {
+    case "file":
+      return createFileSink({ file: env.OUTBOX_FILE || path.join(__dirname, "..", "outbox.log") });
+    case "console":
+      return createConsoleSink();
+    case "webhook":
+      return createWebhookSink({ url: env.NOTIFY_WEBHOOK_URL, token: env.NOTIFY_WEBHOOK_TOKEN });
+    default:
+      throw new Error(`Unknown notification sink "${name}" (expected file, console or webhook)`);
+  }
+}
+
+export function createChannels(env = process.env) {
+  return Object.fromEntries(
+    CHANNELS.map(channel => {
+      const name = (env[`${channel.toUpperCase()}_SINK`] || env.NOTIFY_SINK || "file").toLowerCase();
+      return [channel, createSink(name, env)];
+    })
+  );
+}
+
+let current;
+
+export function getChannels() {
+  if (!current) current = createChannels();
+  return current;
+}
@@ -0,0 +1,28 @@
+/* =========================
+   WEBHOOK SINK
+   POSTs { channel, to, subject, text } as JSON to an
+   email / SMS gateway. Anything but a 2xx answer
+   within the timeout counts as a failed send.
+========================= */
+const TIMEOUT_MS = 10 * 1000;
+
+export function createWebhookSink({ url, token }) {
+  if (!url) throw new Error("The webhook sink needs NOTIFY_WEBHOOK_URL");
+
+  return {
+    name: "webhook",
+
+    async send(message) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+    }
+  };
+}
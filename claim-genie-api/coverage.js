@@ -0,0 +1,234 @@
+import { parseDate } from "./providers/rules.js";
+import { t } from "./i18n.js";
+
+/* =========================
+   COVERAGE RULES
+   Each rule returns null when it passes, or a finding:
+   { level: "reject" | "warn", field, key, params, message }.
+   Policy-level rules have no field — nothing the
+   policyholder types can fix them. `message` is the
+   English text kept on the claim; chat replies render
+   `key` in the user's language.
+========================= */
+const CATEGORIES = [
+  ["third_party", /third[\s-]?party/i],
+  ["personal_accident", /injur|personal accident|fracture/i],
+  ["medical", /hospital|surgery|illness|treatment|medical|admission|diagnos|fever|cashless/i],
+  ["own_damage", /accident|collision|damage|repair|dent|scratch|theft|stolen|fire|flood|bumper|headlight|bike|car|vehicle|scooter/i]
+];
+
+const MOTOR_COVER = {
+  own_damage: "coverage_ownDamage",
+  third_party: "coverage_thirdParty",
+  personal_accident: "coverage_personalAccident",
+  medical: "coverage_personalAccident"
+};
+
+const NEAR_LIMIT_RATIO = 0.8;
+
+/* =========================
+   HELPERS
+========================= */
+function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(String(value).replace(/[₹,\s]/g, ""));
+  return isNaN(n) ? null : n;
+}
+
+export function rupees(n) {
+  return `₹${n.toLocaleString("en-IN")}`;
+}
+
+function policyKind(policy) {
+  const type = policy.policyType?.toLowerCase() || "";
+  if (type.includes("motor")) return "motor";
+  if (type.includes("health")) return "health";
+  return "other";
+}
+
+export function classifyClaim(claim) {
+  const text = `${claim.claim_type || ""} ${claim.description_of_loss || ""}`;
+  return CATEGORIES.find(([, pattern]) => pattern.test(text))?.[0] ?? null;
+}
+
+function isYes(flag) {
+  return String(flag).trim().toLowerCase() === "yes";
+}
+
+/**
+ * Which cover the claim falls under and whether the policy has
+ * it: covered is null when a motor policy doesn't record it.
+ */
+export function coverOf(claim, policy) {
+  const kind = policyKind(policy);
+  const category = classifyClaim(claim);
+  let covered = true;
+
+  if (kind === "motor" && category) {
+    const flag = policy[MOTOR_COVER[category]];
+    covered = flag === undefined ? null : isYes(flag);
+  }
+  if (kind === "health" && (category === "own_damage" || category === "third_party")) covered = false;
+
+  return { kind, category, covered };
+}
+
+// Lower-case words between spaces, so names match on whole words only
+function hospitalName(name) {
+  return ` ${(String(name).toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).join(" ")} `;
+}
+
+// A cover named by its category reads as "Own Damage" in English
+function localParams(params = {}, lang) {
+  return params.category ? { ...params, cover: t(lang, `coverage.covers.${params.category}`) } : params;
+}
+
+function finding(level, field, key, params = {}) {
+  return {
+    level,
+    ...(field ? { field } : {}),
+    key,
+    params,
+    message: t("en", `coverage.${key}`, localParams(params, "en"))
+  };
+}
+
+/* =========================
+   RULES
+========================= */
+const POLICY_RULES = [
+  function policyStatus(policy) {
+    if (policy.policyStatus && policy.policyStatus.toLowerCase() !== "active")
+      return finding("reject", null, "policy_status", { status: policy.policyStatus });
+    return null;
+  },
+
+  function policyExpiry(policy) {
+    const validTill = parseDate(policy.validTill).date;
+    if (validTill && validTill < todayISO())
+      return finding("reject", null, "policy_expired", { date: validTill });
+    return null;
+  }
+];
+
+const CLAIM_RULES = [
+  function incidentInTerm(claim, policy) {
+    const incident = parseDate(claim.incident_date).date;
+    if (!incident) return null;
+
+    const validTill = parseDate(policy.validTill).date;
+    if (validTill && incident > validTill)
+      return finding("reject", "incident_date", "after_policy_end", { incident, date: validTill });
+
+    const validFrom = parseDate(policy.validFrom).date;
+    if (validFrom && incident < validFrom)
+      return finding("reject", "incident_date", "before_policy_start", { incident, date: validFrom });
+
+    return null;
+  },
+
+  function sumInsured(claim, policy) {
+    const amount = toNumber(claim.claim_amount);
+    const limit = toNumber(policy.sumInsured);
+    if (amount === null || limit === null) return null;
+
+    if (amount > limit)
+      return finding("reject", "claim_amount", "above_sum_insured", { amount: rupees(amount), limit: rupees(limit) });
+    if (amount >= limit * NEAR_LIMIT_RATIO)
+      return finding("warn", "claim_amount", "near_sum_insured", { limit: rupees(limit) });
+    return null;
+  },
+
+  function claimTypeCovered(claim, policy) {
+    if (!claim.claim_type) return null;
+
+    const { kind, category, covered } = coverOf(claim, policy);
+
+    if (!category)
+      return finding("warn", "claim_type", "unmatched_type", { type: claim.claim_type });
+    if (covered === null)
+      return finding("warn", "claim_type", "cover_unrecorded", { category });
+    if (!covered && kind === "health")
+      return finding("reject", "claim_type", "not_covered", { policyType: policy.policyType, category });
+    if (!covered)
+      return finding("reject", "claim_type", "cover_missing", { category });
+
+    return null;
+  },
+
+  // Only a cashless claim depends on the network; "Yashoda Hospitals, Secunderabad" is in a "Yashoda" network
+  function networkHospital(claim, policy) {
+    if (claim.claim_mode !== "Cashless" || !policy.hospitalNetwork || !claim.service_provider) return null;
+
+    const provider = hospitalName(claim.service_provider);
+    const network = policy.hospitalNetwork.split(",").map(hospitalName).filter(h => h.trim());
+    if (network.some(h => provider.includes(h))) return null;
+
+    return finding("warn", "service_provider", "out_of_network", {
+      provider: claim.service_provider,
+      network: policy.hospitalNetwork
+    });
+  }
+];
+
+/* =========================
+   ENGINE
+========================= */
+function summarize(findings) {
+  const rejections = findings.filter(f => f.level === "reject");
+  const warnings = findings.filter(f => f.level === "warn");
+
+  return {
+    status: rejections.length ? "rejected" : warnings.length ? "eligible_with_warnings" : "eligible",
+    rejections: rejections.map(({ level, ...r }) => r),
+    warnings: warnings.map(({ level, ...w }) => w),
+    checkedAt: new Date().toISOString()
+  };
+}
+
+function run(rules, ...args) {
+  return rules
+    .map(rule => {
+      const finding = rule(...args);
+      return finding && { rule: rule.name, ...finding };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Can this policy take a new claim at all?
+ */
+export function checkPolicy(policy) {
+  return summarize(run(POLICY_RULES, policy));
+}
+
+/**
+ * Full eligibility of a claim against its policy.
+ */
+export function checkCoverage(claim, policy) {
+  return summarize([...run(POLICY_RULES, policy), ...run(CLAIM_RULES, claim, policy)]);
+}
+
+// Findings saved before they carried a key only have English text
+export function findingText(f, lang) {
+  return f.key ? t(lang, `coverage.${f.key}`, localParams(f.params, lang), f.message) : f.message;
+}
+
+export function formatEligibility(result, lang) {
+  let out = "";
+
+  if (result.rejections.length)
+    out += t(lang, "coverage.rejected") + "\n" + result.rejections.map(r => `• ${findingText(r, lang)}`).join("\n");
+
+  if (result.warnings.length) {
+    if (out) out += "\n\n";
+    out += t(lang, "coverage.warnings") + "\n" + result.warnings.map(w => `• ${findingText(w, lang)}`).join("\n");
+  }
+
+  return out;
+}
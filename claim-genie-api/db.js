@@ -0,0 +1,249 @@
+import Database from "better-sqlite3";
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ensureHistory } from "./workflow.js";
+
+/* =========================
+   DATABASE
+   Claims, policies and staff accounts live in
+   SQLite (DB_FILE).
+   claims.json / policies.json are only read as seed data.
+========================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SEED_CLAIMS_FILE = path.join(__dirname, "claims.json");
+export const SEED_POLICIES_FILE = path.join(__dirname, "policies.json");
+
+const FIRST_CLAIM_NUMBER = 1000;
+
+/* =========================
+   MIGRATIONS
+   Applied in order; PRAGMA user_version records
+   how many have run.
+========================= */
+const MIGRATIONS = [
+  `
+  CREATE TABLE policies (
+    policy_number TEXT PRIMARY KEY COLLATE NOCASE,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE claims (
+    claim_id TEXT PRIMARY KEY COLLATE NOCASE,
+    policy_number TEXT NOT NULL COLLATE NOCASE,
+    claim_status TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX claims_policy ON claims (policy_number);
+
+  CREATE TABLE sequences (
+    name TEXT PRIMARY KEY,
+    value INTEGER NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE claims ADD COLUMN submission_key TEXT;
+  CREATE UNIQUE INDEX claims_submission ON claims (submission_key);
+  `,
+  `
+  CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    claim_id TEXT COLLATE NOCASE,
+    event TEXT,
+    channel TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    subject TEXT,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TEXT,
+    created_at TEXT NOT NULL,
+    sent_at TEXT
+  );
+  CREATE INDEX notifications_due ON notifications (status, next_attempt_at);
+  CREATE INDEX notifications_claim ON notifications (claim_id);
+  `,
+  `
+  CREATE TABLE transcript_turns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transcript_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    at TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    input TEXT NOT NULL,
+    output TEXT NOT NULL,
+    state_before TEXT NOT NULL,
+    state_after TEXT NOT NULL,
+    llm_calls TEXT NOT NULL,
+    claim_id TEXT COLLATE NOCASE,
+    duration_ms INTEGER
+  );
+  CREATE UNIQUE INDEX transcript_turns_seq ON transcript_turns (transcript_id, seq);
+  CREATE INDEX transcript_turns_claim ON transcript_turns (claim_id);
+  `,
+  `
+  CREATE TABLE users (
+    username TEXT PRIMARY KEY COLLATE NOCASE,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE auth_tokens (
+    token_hash TEXT PRIMARY KEY,
+    username TEXT NOT NULL COLLATE NOCASE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX auth_tokens_user ON auth_tokens (username);
+  `,
+  `
+  CREATE TABLE verification_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    policy_number TEXT NOT NULL COLLATE NOCASE,
+    kind TEXT NOT NULL,
+    at TEXT NOT NULL
+  );
+  CREATE INDEX verification_events_policy ON verification_events (policy_number, kind, at);
+  `
+];
+
+function migrate(db) {
+  const version = db.pragma("user_version", { simple: true });
+  if (version >= MIGRATIONS.length) return false;
+
+  db.transaction(() => {
+    MIGRATIONS.slice(version).forEach(sql => db.exec(sql));
+    db.pragma(`user_version = ${MIGRATIONS.length}`);
+  })();
+  return version === 0;
+}
+
+/* =========================
+   JSON IMPORT
+========================= */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+function claimNumber(id) {
+  return Number(String(id).replace(/\D/g, "")) || 0;
+}
+
+/**
+ * Copies claims and policies from the JSON seed files. Existing rows
+ * are kept unless `replace` is set. Returns the counts imported.
+ */
+export function importJson(
+  db,
+  { claimsFile = SEED_CLAIMS_FILE, policiesFile = SEED_POLICIES_FILE, replace = false } = {}
+) {
+  const policies = readJson(policiesFile) || {};
+  const claims = readJson(claimsFile)?.claims || [];
+  const verb = replace ? "INSERT OR REPLACE" : "INSERT OR IGNORE";
+
+  const insertPolicy = db.prepare(`${verb} INTO policies (policy_number, data) VALUES (?, ?)`);
+  const insertClaim = db.prepare(
+    `${verb} INTO claims (claim_id, policy_number, claim_status, created_at, data) VALUES (?, ?, ?, ?, ?)`
+  );
+
+  return db.transaction(() => {
+    let policyCount = 0;
+    let claimCount = 0;
+
+    for (const [number, policy] of Object.entries(policies))
+      policyCount += insertPolicy.run(number.toUpperCase(), JSON.stringify(policy)).changes;
+
+    const seen = new Set();
+    for (const claim of claims) {
+      const key = String(claim.claimId).toUpperCase();
+      if (seen.has(key)) {
+        console.warn(`⚠️ ${claim.claimId} appears more than once in ${path.basename(claimsFile)}; keeping the first`);
+        continue;
+      }
+      seen.add(key);
+
+      ensureHistory(claim);
+      claimCount += insertClaim.run(
+        claim.claimId,
+        claim.policy_number,
+        claim.claim_status,
+        claim.createdAt,
+        JSON.stringify(claim)
+      ).changes;
+    }
+
+    const last = Math.max(FIRST_CLAIM_NUMBER - 1, ...claims.map(c => claimNumber(c.claimId)));
+    db.prepare(
+      `INSERT INTO sequences (name, value) VALUES ('claim', ?)
+       ON CONFLICT (name) DO UPDATE SET value = MAX(value, excluded.value)`
+    ).run(last);
+
+    return { policies: policyCount, claims: claimCount };
+  })();
+}
+
+/* =========================
+   CONNECTION
+========================= */
+export function openDatabase(file = process.env.DB_FILE || path.join(__dirname, "claimgenie.db")) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+
+  if (migrate(db)) {
+    const counts = importJson(db);
+    console.log(`📥 Imported ${counts.claims} claim(s) and ${counts.policies} policies from JSON seed files`);
+  }
+  return db;
+}
+
+let current;
+
+export function getDatabase() {
+  const sandbox = sandboxes.getStore();
+  if (sandbox) return sandbox.db;
+  if (!current) current = openDatabase();
+  return current;
+}
+
+/* =========================
+   SANDBOX
+   Code run through runInSandbox sees a throwaway
+   in-memory copy of the database, so it can file,
+   edit and withdraw claims without touching real
+   ones. Used to replay chat transcripts and for
+   dry runs of claim imports.
+========================= */
+const sandboxes = new AsyncLocalStorage();
+
+// A WAL database can't be opened in memory; bytes 18-19 of the
+// header switch the copy back to a rollback journal
+function copyInMemory(db) {
+  const image = db.serialize();
+  image[18] = image[19] = 1;
+  return new Database(image);
+}
+
+export async function runInSandbox(fn) {
+  const db = copyInMemory(getDatabase());
+  try {
+    return await sandboxes.run({ db }, fn);
+  } finally {
+    db.close();
+  }
+}
+
+export function inSandbox() {
+  return Boolean(sandboxes.getStore());
+}
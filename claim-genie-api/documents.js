@@ -0,0 +1,145 @@
+import fs from "fs/promises";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { getProvider } from "./providers/index.js";
+import { parseAmount } from "./providers/rules.js";
+import { attachmentPath } from "./attachments.js";
+import { FIELD_LABELS } from "./validation.js";
+import { getSchema } from "./schemas.js";
+import { toNumber } from "./coverage.js";
+import { fieldLabels, t } from "./i18n.js";
+
+/* =========================
+   DOCUMENT READING
+   Pulls text out of uploaded bills and maps it onto
+   the claim fields an invoice can answer.
+========================= */
+export const DOCUMENT_FIELDS = ["claim_amount", "service_provider", "incident_date"];
+
+const PREFERRED_TOTALS = ["grand total", "net payable", "amount payable", "total amount", "net amount"];
+const TOTAL_PATTERN = /\b(grand total|net payable|amount payable|total amount|net amount|total)\b[^\d\n]{0,15}(\d[\d,]*(?:\.\d+)?)/gi;
+
+/* =========================
+   TEXT EXTRACTION
+========================= */
+async function pdfText(buffer) {
+  const doc = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+  let text = "";
+
+  for (let i = 1; i <= doc.numPages; i++) {
+    const page = await doc.getPage(i);
+    const content = await page.getTextContent();
+    text += content.items.map(item => item.str + (item.hasEOL ? "\n" : " ")).join("") + "\n";
+  }
+
+  await doc.destroy();
+  return text;
+}
+
+/**
+ * Plain text of a stored attachment. Images need a provider
+ * that can read them; otherwise they yield no text.
+ */
+export async function extractText(attachment) {
+  const buffer = await fs.readFile(attachmentPath(attachment));
+
+  if (attachment.mimeType === "application/pdf") return pdfText(buffer);
+  if (attachment.mimeType === "text/plain") return buffer.toString("utf-8");
+
+  const llm = getProvider();
+  if (attachment.mimeType.startsWith("image/") && llm.readImage)
+    return llm.readImage(buffer, attachment.mimeType);
+
+  return "";
+}
+
+/* =========================
+   FIELD MAPPING
+========================= */
+function invoiceTotal(text) {
+  const totals = [...text.matchAll(TOTAL_PATTERN)]
+    .map(m => ({ label: m[1].toLowerCase(), amount: parseAmount(m[2]) }))
+    .filter(t => t.amount !== null);
+  if (!totals.length) return null;
+
+  const preferred = totals.filter(t => PREFERRED_TOTALS.includes(t.label));
+  if (preferred.length) return preferred[preferred.length - 1].amount;
+  return Math.max(...totals.map(t => t.amount));
+}
+
+function guessVendor(text) {
+  const line = text.split("\n").map(l => l.trim()).find(l => /[a-z]{3}/i.test(l));
+  if (!line) return null;
+
+  const name = line
+    .replace(/\b(tax\s+)?(invoice|bill|receipt|estimate|quotation)\b/gi, "")
+    .replace(/^[\s\-–:|#]+|[\s\-–:|#]+$/g, "")
+    .trim();
+  return name.length >= 3 ? name : null;
+}
+
+/**
+ * Reads an attachment and returns the claim fields found in it,
+ * e.g. { claim_amount: 7450, service_provider: "Sri Motors" }.
+ */
+export async function readDocument(attachment) {
+  let text;
+  try {
+    text = await extractText(attachment);
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${attachment.filename}: ${err.message}`);
+    return { fields: {}, error: true };
+  }
+  if (!text?.trim()) return { fields: {} };
+
+  const llm = getProvider();
+  const parsed = (await llm.extractClaim(text, FIELD_LABELS)) || {};
+  const fields = {};
+
+  const amount = invoiceTotal(text) ?? toNumber(parsed.claim_amount);
+  if (amount) fields.claim_amount = amount;
+
+  const provider = parsed.service_provider || guessVendor(text);
+  if (provider) fields.service_provider = provider;
+
+  if (parsed.incident_date) {
+    const norm = await llm.normalizeDate(parsed.incident_date);
+    if (norm.date) fields.incident_date = norm.date;
+  }
+
+  return { fields };
+}
+
+/* =========================
+   COMPARISON / FORMATTING
+========================= */
+/**
+ * Flags an invoice total that disagrees with the amount entered.
+ * The message stays in English for the claims team; `params`
+ * let the chat word it for the policyholder.
+ */
+export function amountMismatch(entered, invoice, filename) {
+  const a = toNumber(entered);
+  const b = toNumber(invoice);
+  if (a === null || b === null || a === b) return null;
+
+  const params = { entered: `₹${a.toLocaleString("en-IN")}`, invoice: `₹${b.toLocaleString("en-IN")}`, filename };
+  return {
+    code: "invoice_amount_mismatch",
+    params,
+    message: t("en", "upload.amount_mismatch", params)
+  };
+}
+
+export function mismatchText(flag, lang) {
+  return t(lang, "upload.amount_mismatch", flag.params, flag.message);
+}
+
+export function formatExtracted(fields, filename, schema = getSchema(), lang = "en") {
+  const keys = DOCUMENT_FIELDS.filter(f => fields[f] !== undefined);
+  if (!keys.length) return "";
+  const labels = fieldLabels(schema, lang);
+  return (
+    t(lang, "upload.found", { filename }) + "\n" +
+    keys.map(f => `• ${labels[f]}: ${fields[f]}`).join("\n")
+  );
+}
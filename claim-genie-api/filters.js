@@ -0,0 +1,95 @@
+import { parseDate } from "./providers/rules.js";
+import { resolveStatus } from "./workflow.js";
+import { SCHEMAS, getSchema } from "./schemas.js";
+import { toNumber } from "./coverage.js";
+
+/* =========================
+   CLAIM FILTERS
+   Query-string filters shared by the claim list,
+   reports and exports.
+========================= */
+export const RISK_LEVELS = ["low", "medium", "high"];
+
+export function incidentDate(claim) {
+  return parseDate(claim.incident_date).date ?? null;
+}
+
+// Day the claim was filed, YYYY-MM-DD
+export function filedDate(claim) {
+  return claim.createdAt?.slice(0, 10) ?? null;
+}
+
+export function amountOf(claim) {
+  return toNumber(claim.claim_amount);
+}
+
+// Claims saved before schemas existed are motor claims
+export function policyType(claim) {
+  return getSchema(claim.schema).type;
+}
+
+/**
+ * Turns the query string into a predicate, or an error
+ * message when a filter value can't be understood.
+ */
+export function buildFilter(query) {
+  const { policy, type, status, risk, from, to, filedFrom, filedTo, minAmount, maxAmount } = query;
+  const checks = [];
+
+  if (policy) {
+    const p = String(policy).toUpperCase();
+    checks.push(c => c.policy_number?.toUpperCase() === p);
+  }
+
+  if (type) {
+    const wanted = String(type).toLowerCase().split(",");
+    const unknown = wanted.filter(t => !SCHEMAS[t]);
+    if (unknown.length) return { error: `Unknown policy type: ${unknown.join(", ")}` };
+    checks.push(c => wanted.includes(policyType(c)));
+  }
+
+  if (status) {
+    const wanted = String(status).split(",").map(s => [s, resolveStatus(s)]);
+    const unknown = wanted.filter(([, s]) => !s).map(([raw]) => raw);
+    if (unknown.length) return { error: `Unknown status: ${unknown.join(", ")}` };
+    const set = new Set(wanted.map(([, s]) => s));
+    checks.push(c => set.has(c.claim_status));
+  }
+
+  if (risk) {
+    const wanted = String(risk).toLowerCase().split(",");
+    const unknown = wanted.filter(r => !RISK_LEVELS.includes(r));
+    if (unknown.length) return { error: `Unknown risk level: ${unknown.join(", ")}` };
+    checks.push(c => wanted.includes(c.risk?.level));
+  }
+
+  for (const [name, raw, dateOf, cmp] of [
+    ["from", from, incidentDate, (d, v) => d >= v],
+    ["to", to, incidentDate, (d, v) => d <= v],
+    ["filedFrom", filedFrom, filedDate, (d, v) => d >= v],
+    ["filedTo", filedTo, filedDate, (d, v) => d <= v]
+  ]) {
+    if (!raw) continue;
+    const { date } = parseDate(raw);
+    if (!date) return { error: `Invalid ${name} date: ${raw}` };
+    checks.push(c => {
+      const d = dateOf(c);
+      return d !== null && cmp(d, date);
+    });
+  }
+
+  for (const [name, raw, cmp] of [
+    ["minAmount", minAmount, (a, v) => a >= v],
+    ["maxAmount", maxAmount, (a, v) => a <= v]
+  ]) {
+    if (raw === undefined || raw === "") continue;
+    const value = Number(raw);
+    if (isNaN(value)) return { error: `Invalid ${name}: ${raw}` };
+    checks.push(c => {
+      const a = amountOf(c);
+      return a !== null && cmp(a, value);
+    });
+  }
+
+  return { filter: c => checks.every(check => check(c)) };
+}
@@ -0,0 +1,117 @@
+import { getSchema } from "./schemas.js";
+import { fieldLabels, t } from "./i18n.js";
+
+/* =========================
+   FORMATTERS
+========================= */
+export function capitalize(text) {
+  if (!text) return "N/A";
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Schema fields that have a value, plus any required ones that
+ * don't (shown as N/A or —). Defaults to the schema the claim
+ * was filed under.
+ */
+function summaryFields(data, schema) {
+  return Object.keys(schema.fields).filter(f => data[f] != null || schema.required.includes(f));
+}
+
+export function formatClaimSummary(data, schema = getSchema(data.schema), lang = "en") {
+  const labels = fieldLabels(schema, lang);
+  return summaryFields(data, schema)
+    .map(f => `${labels[f]}: ${data[f] ?? "N/A"}`)
+    .join("\n");
+}
+
+/**
+ * Claim fields as label/value rows for a summary card.
+ */
+export function claimCard(data, title, extraRows = [], schema = getSchema(data.schema), lang = "en") {
+  const labels = fieldLabels(schema, lang);
+  return {
+    title,
+    rows: [...summaryFields(data, schema).map(f => [labels[f], data[f] ?? "—"]), ...extraRows]
+  };
+}
+
+/**
+ * Policy details grouped into titled sections. Shared by the
+ * chat reply and the adjuster dashboard.
+ */
+export function policySections(policy, lang = "en") {
+  const label = key => t(lang, `policy.${key}`);
+
+  const sections = [
+    {
+      icon: "👤",
+      title: label("holder"),
+      rows: [
+        [label("name"), policy.name],
+        [label("email"), policy.email],
+        [label("phone"), policy.phoneNumber],
+        [label("address"), policy.address]
+      ]
+    },
+    {
+      icon: "📑",
+      title: label("information"),
+      rows: [
+        [label("type"), policy.policyType],
+        [label("status"), policy.policyStatus],
+        [label("valid_till"), policy.validTill],
+        [label("premium"), policy.premium && `₹${policy.premium}`],
+        [label("sum_insured"), policy.sumInsured && `₹${policy.sumInsured}`]
+      ]
+    }
+  ];
+
+  if (policy.policyType?.toLowerCase().includes("motor")) {
+    sections.push(
+      {
+        icon: "🚗",
+        title: label("vehicle"),
+        rows: [
+          [label("model"), policy.vehicleModel],
+          [label("registration"), policy.registrationNumber],
+          [label("engine"), policy.engineNumber],
+          [label("chassis"), policy.chassisNumber],
+          [label("year"), policy.yearOfManufacture],
+          [label("fuel"), policy.fuelType]
+        ]
+      },
+      {
+        icon: "🛡",
+        title: label("coverage"),
+        rows: [
+          [label("own_damage"), policy.coverage_ownDamage],
+          [label("third_party"), policy.coverage_thirdParty],
+          [label("personal_accident"), policy.coverage_personalAccident]
+        ]
+      }
+    );
+  }
+
+  if (policy.hospitalNetwork)
+    sections.push({
+      icon: "🏥",
+      title: label("network"),
+      rows: [[label("hospitals"), policy.hospitalNetwork]]
+    });
+
+  return sections
+    .map(s => ({ ...s, rows: s.rows.filter(([, value]) => value) }))
+    .filter(s => s.rows.length);
+}
+
+export function formatPolicyDetails(policy, lang = "en") {
+  let out = t(lang, "policy.heading") + "\n";
+
+  for (const section of policySections(policy, lang)) {
+    out += `\n${section.icon} ${section.title}\n`;
+    out += section.rows.map(([label, value]) => `${label}: ${value}\n`).join("");
+  }
+
+  return out;
+}
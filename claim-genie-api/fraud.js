@@ -0,0 +1,185 @@
+import { parseDate } from "./providers/rules.js";
+import { toNumber } from "./coverage.js";
+
+/* =========================
+   RISK SCORING
+   Looks at a new claim next to the policy and its earlier
+   claims. Each signal returns null or
+   { code, points, message }; the points add up to a
+   0–100 score. Signals are for adjusters only — nothing
+   here is shown to the policyholder.
+========================= */
+const HIGH_RISK_SCORE = 60;
+const MEDIUM_RISK_SCORE = 30;
+
+const FREQUENCY_WINDOW_DAYS = 365;
+const FREQUENT_CLAIMS = 3;
+const NEAR_LIMIT_RATIO = 0.8;
+const EARLY_CLAIM_DAYS = 30;
+const LATE_CLAIM_DAYS = 30;
+const REPEATED_PROVIDER_CLAIMS = 2;
+const DUPLICATE_AMOUNT_TOLERANCE = 0.1;
+const SIMILAR_TEXT_RATIO = 0.6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* =========================
+   HELPERS
+========================= */
+function dateOf(value) {
+  return parseDate(value).date ?? null;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+function words(text) {
+  return new Set(String(text ?? "").toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+// Share of words the two texts have in common (Jaccard)
+function similarity(a, b) {
+  const x = words(a);
+  const y = words(b);
+  if (!x.size || !y.size) return 0;
+  const shared = [...x].filter(w => y.has(w)).length;
+  return shared / (x.size + y.size - shared);
+}
+
+function describe(claim) {
+  return [claim.claim_type, claim.diagnosis, claim.description_of_loss].filter(Boolean).join(" ");
+}
+
+function sameProvider(a, b) {
+  const x = String(a ?? "").trim().toLowerCase();
+  const y = String(b ?? "").trim().toLowerCase();
+  return Boolean(x && y) && (x.includes(y) || y.includes(x));
+}
+
+function closeAmounts(a, b) {
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (x === null || y === null) return false;
+  return Math.abs(x - y) <= Math.max(x, y) * DUPLICATE_AMOUNT_TOLERANCE;
+}
+
+function listIds(claims) {
+  const ids = claims.map(c => c.claimId);
+  return ids.length > 3 ? `${ids.slice(0, 3).join(", ")} and ${ids.length - 3} more` : ids.join(", ");
+}
+
+/* =========================
+   SIGNALS
+========================= */
+const SIGNALS = [
+  function duplicates(claim, policy, others) {
+    const incident = dateOf(claim.incident_date);
+    if (!incident) return null;
+
+    const sameDay = others.filter(
+      o => dateOf(o.incident_date) === incident && closeAmounts(o.claim_amount, claim.claim_amount)
+    );
+    const text = describe(claim);
+
+    const exact = sameDay.filter(
+      o => similarity(describe(o), text) === 1 && sameProvider(o.service_provider, claim.service_provider)
+    );
+    if (exact.length)
+      return { code: "duplicate", points: 45, message: `Same incident, amount and provider as ${listIds(exact)}.` };
+
+    const near = sameDay.filter(
+      o =>
+        similarity(describe(o), text) >= SIMILAR_TEXT_RATIO ||
+        sameProvider(o.service_provider, claim.service_provider)
+    );
+    if (near.length)
+      return {
+        code: "near_duplicate",
+        points: 30,
+        message: `Very similar to ${listIds(near)} (same incident date and amount).`
+      };
+
+    return null;
+  },
+
+  function frequency(claim, policy, others) {
+    const since = new Date(Date.now() - FREQUENCY_WINDOW_DAYS * DAY_MS).toISOString();
+    const recent = others.filter(o => (o.createdAt ?? "") >= since);
+    if (recent.length < FREQUENT_CLAIMS) return null;
+
+    return {
+      code: "frequent_claims",
+      points: Math.min(25, 10 + 5 * (recent.length - FREQUENT_CLAIMS)),
+      message: `${recent.length} other claims on this policy in the last 12 months.`
+    };
+  },
+
+  function nearSumInsured(claim, policy) {
+    const amount = toNumber(claim.claim_amount);
+    const limit = toNumber(policy.sumInsured);
+    if (amount === null || !limit || amount < limit * NEAR_LIMIT_RATIO) return null;
+
+    return {
+      code: "near_sum_insured",
+      points: 15,
+      message: `Claim Amount is ${Math.round((amount / limit) * 100)}% of the Sum Insured.`
+    };
+  },
+
+  function earlyInPolicy(claim, policy) {
+    const incident = dateOf(claim.incident_date);
+    const validFrom = dateOf(policy.validFrom);
+    if (!incident || !validFrom) return null;
+
+    const days = daysBetween(validFrom, incident);
+    if (days < 0 || days > EARLY_CLAIM_DAYS) return null;
+    return { code: "early_in_policy", points: 20, message: `Incident ${days} day(s) after the policy started.` };
+  },
+
+  function lateInPolicy(claim, policy) {
+    const incident = dateOf(claim.incident_date);
+    const validTill = dateOf(policy.validTill);
+    if (!incident || !validTill) return null;
+
+    const days = daysBetween(incident, validTill);
+    if (days < 0 || days > LATE_CLAIM_DAYS) return null;
+    return { code: "late_in_policy", points: 10, message: `Incident ${days} day(s) before the policy ends.` };
+  },
+
+  function repeatedProvider(claim, policy, others) {
+    const matches = others.filter(o => sameProvider(o.service_provider, claim.service_provider));
+    if (matches.length < REPEATED_PROVIDER_CLAIMS) return null;
+
+    return {
+      code: "repeated_provider",
+      points: 15,
+      message: `${claim.service_provider} also appears on ${listIds(matches)}.`
+    };
+  }
+];
+
+/* =========================
+   ENGINE
+========================= */
+function levelFor(score) {
+  if (score >= HIGH_RISK_SCORE) return "high";
+  if (score >= MEDIUM_RISK_SCORE) return "medium";
+  return "low";
+}
+
+/**
+ * Scores `claim` against its policy and the policy's other
+ * claims. Withdrawn claims and the claim itself are ignored.
+ */
+export function scoreClaim(claim, policy, claims = []) {
+  const others = claims.filter(c => c.claimId !== claim.claimId && c.claim_status !== "Withdrawn");
+  const reasons = SIGNALS.map(signal => signal(claim, policy || {}, others)).filter(Boolean);
+  const score = Math.min(100, reasons.reduce((sum, r) => sum + r.points, 0));
+
+  return { score, level: levelFor(score), reasons, scoredAt: new Date().toISOString() };
+}
+
+export function formatRisk(risk) {
+  return `Risk ${risk.score}/100 (${risk.level}): ` + risk.reasons.map(r => r.message).join(" ");
+}
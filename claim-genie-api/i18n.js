@@ -0,0 +1,169 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { SCHEMAS } from "./schemas.js";
+
+/* =========================
+   LANGUAGES
+   Every bot message lives in locales/<code>.json. Missing
+   keys fall back to English. Besides messages, a catalog
+   may hold:
+     fields   schema → field → label
+     statuses / teams   workflow names as shown in chat
+     input    canonical English command → words that mean it
+     markers  common romanized words that give the language away
+========================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-IN" },
+  hi: { name: "हिन्दी", locale: "hi-IN" },
+  te: { name: "తెలుగు", locale: "te-IN" }
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+const CATALOGS = Object.fromEntries(
+  Object.keys(LANGUAGES).map(code => [
+    code,
+    JSON.parse(readFileSync(path.join(__dirname, "locales", `${code}.json`), "utf-8"))
+  ])
+);
+
+const SCRIPTS = [
+  ["te", /[ఀ-౿]/g],
+  ["hi", /[ऀ-ॿ]/g]
+];
+
+/* =========================
+   LOOKUP
+========================= */
+export function resolveLanguage(code) {
+  const c = String(code ?? "").trim().toLowerCase();
+  return LANGUAGES[c] ? c : null;
+}
+
+export function localeFor(lang) {
+  return LANGUAGES[resolveLanguage(lang) ?? DEFAULT_LANGUAGE].locale;
+}
+
+function lookup(lang, key) {
+  return key.split(".").reduce((node, part) => node?.[part], CATALOGS[lang]);
+}
+
+/**
+ * Message `key` in `lang` with {placeholders} filled from
+ * `params`. A `count` of 1 prefers the key's `_one` variant.
+ * Unknown keys return `fallback`, or the key itself.
+ */
+export function t(lang, key, params = {}, fallback = key) {
+  const code = resolveLanguage(lang) ?? DEFAULT_LANGUAGE;
+  const keys = params.count === 1 ? [`${key}_one`, key] : [key];
+
+  let text;
+  for (const k of keys) {
+    text = lookup(code, k) ?? lookup(DEFAULT_LANGUAGE, k);
+    if (typeof text === "string") break;
+  }
+  if (typeof text !== "string") return fallback;
+
+  return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] ?? m));
+}
+
+export function statusName(lang, status) {
+  return status ? t(lang, `statuses.${status}`, {}, status) : status;
+}
+
+export function teamName(lang, team) {
+  return team ? t(lang, `teams.${team}`, {}, team) : team;
+}
+
+/* =========================
+   FIELD LABELS
+========================= */
+export function fieldLabels(schema, lang) {
+  const localized = CATALOGS[resolveLanguage(lang) ?? DEFAULT_LANGUAGE].fields?.[schema.type] ?? {};
+  return Object.fromEntries(Object.entries(schema.fields).map(([key, label]) => [key, localized[key] ?? label]));
+}
+
+/**
+ * The schema's example message with its labels in `lang`.
+ */
+export function localizeExample(schema, lang) {
+  const labels = fieldLabels(schema, lang);
+  const keyOf = Object.fromEntries(Object.entries(schema.fields).map(([key, label]) => [label, key]));
+
+  return schema.example
+    .split("\n")
+    .map(line => {
+      const [label, ...rest] = line.split(":");
+      return keyOf[label] ? `${labels[keyOf[label]]}:${rest.join(":")}` : line;
+    })
+    .join("\n");
+}
+
+/* =========================
+   INPUT
+   Whatever the language, the rest of the app sees English
+   commands and English field labels.
+========================= */
+// Localized label → English label, longest first so
+// "दुर्घटना की तारीख" wins over "तारीख"
+const LABEL_TRANSLATIONS = Object.values(CATALOGS)
+  .flatMap(catalog =>
+    Object.entries(catalog.fields ?? {}).flatMap(([type, labels]) =>
+      Object.entries(labels).map(([key, label]) => [label, SCHEMAS[type]?.fields[key]])
+    )
+  )
+  .filter(([label, english]) => english && label !== english)
+  .sort((a, b) => b[0].length - a[0].length);
+
+const COMMAND_WORDS = new Map(
+  Object.values(CATALOGS).flatMap(catalog =>
+    Object.entries(catalog.input ?? {}).flatMap(([command, words]) =>
+      words.map(word => [word.toLowerCase(), command])
+    )
+  )
+);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Maps a message in any supported language onto the English
+ * the handlers understand: "హా" → "yes", "मरीज़ का नाम: Meena"
+ * → "Patient Name: Meena". Values are left as typed.
+ */
+export function normalizeInput(text) {
+  const raw = String(text ?? "");
+  const command = COMMAND_WORDS.get(raw.trim().toLowerCase().replace(/[.!।]+$/, ""));
+  if (command) return command;
+
+  return LABEL_TRANSLATIONS.reduce(
+    (out, [label, english]) => out.replace(new RegExp(`${escapeRegExp(label)}(?=\\s*[:=])`, "g"), english),
+    raw
+  );
+}
+
+/**
+ * Guesses the language of a message from its script, or from
+ * common romanized words ("mera claim", "naa claim"). Returns
+ * null when there is nothing to go on, e.g. a code or an ID.
+ */
+export function detectLanguage(text) {
+  const raw = String(text ?? "");
+
+  const [script] = SCRIPTS.map(([code, pattern]) => [code, raw.match(pattern)?.length ?? 0])
+    .filter(([, n]) => n > 0)
+    .sort((a, b) => b[1] - a[1]);
+  if (script) return script[0];
+
+  const words = raw.toLowerCase().match(/[a-z]+/g) || [];
+  for (const [code, catalog] of Object.entries(CATALOGS)) {
+    const markers = new Set(catalog.markers ?? []);
+    if (words.some(w => markers.has(w))) return code;
+  }
+
+  return words.filter(w => w.length > 2).length >= 3 ? DEFAULT_LANGUAGE : null;
+}
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import { runInSandbox } from "./db.js";
+import { createClaim, getClaimIdBySubmissionKey, getClaimsByPolicy, getPolicy } from "./store.js";
+import { SCHEMAS, schemaFor } from "./schemas.js";
+import { validateClaim } from "./validation.js";
+import { toNumber } from "./coverage.js";
+import { scoreClaim } from "./fraud.js";
+import { calculateSettlement } from "./settlement.js";
+import { fieldLabels } from "./i18n.js";
+import { parseCsv } from "./spreadsheet.js";
+
+/* =========================
+   CLAIM IMPORT
+   Claims that arrive as spreadsheets (CSV) or JSON,
+   e.g. from branch offices. Columns are matched to
+   claim fields by key ("claim_amount") or label
+   ("Claim Amount"). Each row is checked like a claim
+   typed in the chat (validation and coverage) and
+   filed on its own, so one bad row doesn't stop the
+   rest. A row already imported is reported as a
+   duplicate rather than filed twice.
+
+   A dry run performs the same import against an
+   in-memory copy of the database (db.js sandbox), so
+   it reports exactly what would happen, claim IDs
+   included, and changes nothing.
+========================= */
+export const MAX_IMPORT_ROWS = 500;
+
+const DEFAULT_ACTOR = "Bulk Import";
+
+/* =========================
+   COLUMNS
+========================= */
+function columnKey(name) {
+  return String(name ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Every field key and English label of every schema → field key
+const COLUMNS = new Map(
+  Object.values(SCHEMAS).flatMap(schema =>
+    Object.entries(schema.fields).flatMap(([key, label]) => [
+      [columnKey(key), key],
+      [columnKey(label), key]
+    ])
+  )
+);
+
+function fieldFor(column) {
+  return COLUMNS.get(columnKey(column)) ?? null;
+}
+
+/**
+ * Turns a CSV body or a list of JSON objects into
+ * { rows: [{ row, data }], ignoredColumns }, or { error }.
+ * CSV rows are numbered as a spreadsheet shows them (the
+ * header is row 1); JSON rows from 1.
+ */
+export function readImport(body) {
+  let records;
+  let first = 1;
+
+  if (typeof body === "string") {
+    const [header, ...lines] = parseCsv(body);
+    if (!header) return { error: "The CSV file is empty." };
+    records = lines.map(cells => Object.fromEntries(header.map((name, i) => [name.trim(), cells[i] ?? ""])));
+    first = 2;
+  } else if (Array.isArray(body)) {
+    if (body.some(r => !r || typeof r !== "object" || Array.isArray(r)))
+      return { error: "Each claim must be an object." };
+    records = body;
+  } else {
+    return { error: "Send a CSV file (Content-Type: text/csv) or a JSON list of claims." };
+  }
+
+  if (!records.length) return { error: "There are no claims to import." };
+  if (records.length > MAX_IMPORT_ROWS)
+    return { error: `At most ${MAX_IMPORT_ROWS} claims can be imported at once; this has ${records.length}.` };
+
+  const ignored = new Set();
+  const rows = records.map((record, i) => {
+    const data = {};
+    for (const [column, value] of Object.entries(record)) {
+      const field = fieldFor(column);
+      if (!field) ignored.add(column);
+      else if (value !== null && value !== undefined && String(value).trim() !== "") data[field] = String(value).trim();
+    }
+    return { row: first + i, data };
+  });
+
+  return { rows, ignoredColumns: [...ignored] };
+}
+
+/* =========================
+   ROWS
+========================= */
+// Chat errors carry emoji, bullets and line breaks
+function plainText(message) {
+  return message
+    .split("\n")
+    .map(line => line.replace(/^[^\w"]+/u, "").trim())
+    .filter(Boolean)
+    .join(" ");
+}
+
+// The same row imported again maps to the same key
+function submissionKey(claim) {
+  const fields = Object.keys(claim).sort().map(k => [k, String(claim[k])]);
+  return "import:" + crypto.createHash("sha256").update(JSON.stringify(fields)).digest("hex");
+}
+
+async function importRow({ row, data }, by) {
+  const policyNumber = String(data.policy_number ?? "").toUpperCase();
+  if (!policyNumber) return { row, status: "error", errors: ["Policy Number is required."] };
+
+  const policy = await getPolicy(policyNumber);
+  if (!policy) return { row, status: "error", errors: [`Policy ${policyNumber} not found.`] };
+
+  const schema = schemaFor(policy);
+  const labels = fieldLabels(schema, "en");
+  const warnings = Object.keys(data)
+    .filter(f => !schema.fields[f])
+    .map(f => `Ignored ${f}: not a ${schema.title} claim field.`);
+
+  const claim = {};
+  for (const f of Object.keys(schema.fields)) if (data[f] !== undefined) claim[f] = data[f];
+  claim.policy_number = policyNumber;
+  claim.claimant_name ??= policy.name;
+  if (claim.claim_amount !== undefined) claim.claim_amount = toNumber(claim.claim_amount) ?? claim.claim_amount;
+
+  const v = await validateClaim(claim, policy, schema, "en");
+  if (v.error) return { row, status: "error", errors: [plainText(v.error)] };
+  if (v.missing.length)
+    return { row, status: "error", errors: [`Missing: ${v.missing.map(f => labels[f]).join(", ")}.`] };
+
+  warnings.push(...v.eligibility.warnings.map(w => w.message));
+
+  const key = submissionKey(claim);
+  const existing = await getClaimIdBySubmissionKey(key);
+  if (existing) return { row, status: "duplicate", claimId: existing };
+
+  const claimId = await createClaim(
+    {
+      ...claim,
+      schema: schema.type,
+      language: "en",
+      eligibility: v.eligibility,
+      risk: scoreClaim(claim, policy, await getClaimsByPolicy(policyNumber)),
+      settlement: calculateSettlement({ ...claim, schema: schema.type }, policy),
+      attachments: [],
+      flags: [],
+      importedRow: row
+    },
+    by,
+    { submissionKey: key }
+  );
+  return { row, status: "imported", claimId, ...(warnings.length ? { warnings } : {}) };
+}
+
+/* =========================
+   IMPORT
+========================= */
+/**
+ * Imports rows from readImport one by one. Resolves to
+ * { dryRun, total, imported, duplicates, failed, rows } where
+ * each row is { row, status, claimId?, errors?, warnings? }.
+ */
+export async function importClaims(rows, { by = DEFAULT_ACTOR, dryRun = false } = {}) {
+  const run = async () => {
+    const results = [];
+    for (const row of rows) results.push(await importRow(row, by));
+    return results;
+  };
+  const results = dryRun ? await runInSandbox(run) : await run();
+  const count = status => results.filter(r => r.status === status).length;
+
+  return {
+    dryRun,
+    total: results.length,
+    imported: count("imported"),
+    duplicates: count("duplicate"),
+    failed: count("error"),
+    rows: results
+  };
+}
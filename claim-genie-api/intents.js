@@ -0,0 +1,74 @@
+import { getProvider } from "./providers/index.js";
+import { COMMANDS } from "./providers/rules.js";
+
+/* =========================
+   INTENT DETECTION
+   Exact commands work in every state. Free phrasing is
+   only classified where the user isn't answering a
+   question (or dodges a yes/no one), so claim details
+   are never mistaken for a request ("I had an
+   accident…" while filing).
+========================= */
+export const INTENTS = {
+  FILE_NEW_CLAIM: "start a new claim or report a new accident, loss or hospital stay",
+  RETRIEVE_CLAIM: "check the status or details of one existing claim",
+  VIEW_POLICY_CLAIMS: "list all claims on the policy",
+  CANCEL_CLAIM: "cancel or withdraw a claim",
+  UPDATE_CLAIM: "change details of a claim",
+  SEND_MESSAGE: "send a message or more information about an existing claim to the claims team",
+  CONTACT_AGENT: "speak to a person, agent or customer care",
+  HELP: "ask what the assistant can do",
+  EXIT: "end the conversation",
+  RESTART: "start the conversation again",
+  CONTINUE: "anything else, including answers to the assistant's question"
+};
+
+const FREE_TEXT_STATES = ["done", "awaiting_claim_id", "awaiting_policy_number"];
+const YES_NO_STATES = ["confirm_new_claim", "confirm_extracted", "confirm_withdraw", "confirm_amend"];
+
+const CLAIM_ID = /\bCLM-?(\d+)\b/i;
+const POLICY_NUMBER = /\b(P\d{3,})\b/i;
+
+export function extractEntities(text) {
+  const claim = String(text).match(CLAIM_ID);
+  const policy = String(text).match(POLICY_NUMBER);
+  return {
+    claimId: claim ? `CLM-${claim[1]}` : null,
+    policyNumber: policy ? policy[1].toUpperCase() : null
+  };
+}
+
+function isBareId(text) {
+  return /^(CLM-?\d+|P\d{3,})$/i.test(text);
+}
+
+/**
+ * Resolves to { intent, entities } where entities holds any
+ * claim ID or policy number mentioned in the message.
+ */
+export async function detectIntent(msg, session) {
+  const text = String(msg ?? "").trim();
+  const t = text.toLowerCase();
+  const entities = extractEntities(text);
+
+  const command = COMMANDS.find(([, pattern]) => pattern.test(t));
+  if (command) return { intent: command[0], entities };
+
+  const classify =
+    FREE_TEXT_STATES.includes(session.state) ||
+    (YES_NO_STATES.includes(session.state) && !/^(yes|no|y|n)\b/.test(t));
+  if (!classify || !text) return { intent: "CONTINUE", entities };
+  if (isBareId(text) && session.state !== "done") return { intent: "CONTINUE", entities };
+
+  const result = await getProvider().classifyIntent(text, INTENTS);
+  const intent = INTENTS[result?.intent] ? result.intent : "CONTINUE";
+  const found = extractEntities(`${result?.claimId ?? ""} ${result?.policyNumber ?? ""}`);
+
+  return {
+    intent,
+    entities: {
+      claimId: entities.claimId ?? found.claimId,
+      policyNumber: entities.policyNumber ?? found.policyNumber
+    }
+  };
+}
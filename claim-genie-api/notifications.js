@@ -0,0 +1,90 @@
+import { claimEvents, getPolicy } from "./store.js";
+import { queueMessage, startRetryQueue } from "./outbox.js";
+import { inSandbox } from "./db.js";
+import { toNumber } from "./coverage.js";
+import { capitalize } from "./formatters.js";
+import { statusName, t, teamName } from "./i18n.js";
+import { customerPendingWith } from "./workflow.js";
+
+/* =========================
+   CLAIM NOTIFICATIONS
+   Emails and texts the policyholder when a claim is
+   filed and whenever its status changes, at the email
+   and phone number on the policy. The wording lives
+   under "notify" in locales/, in the language the
+   claim was filed in.
+========================= */
+const EVENTS = ["created", "status_changed"];
+
+function summary(claim) {
+  const amount = toNumber(claim.claim_amount);
+  return [
+    claim.claim_type || claim.diagnosis ? capitalize(claim.claim_type || claim.diagnosis) : null,
+    claim.incident_date,
+    amount !== null ? `₹${amount.toLocaleString("en-IN")}` : null
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function recipients(policy) {
+  return [
+    ["email", policy.email],
+    ["sms", policy.phoneNumber]
+  ].filter(([, to]) => to);
+}
+
+/**
+ * Queues the messages for one claim event. `params` adds to
+ * what the templates can use ({id}, {name}, {summary},
+ * {status}, {team}). Resolves to the recorded notifications.
+ */
+export async function notifyClaim(claim, event, params = {}) {
+  if (!EVENTS.includes(event)) throw new Error(`Unknown claim event "${event}"`);
+
+  const policy = await getPolicy(claim.policy_number);
+  if (!policy) return [];
+
+  const lang = claim.language;
+  const values = {
+    id: claim.claimId,
+    name: policy.name,
+    summary: summary(claim),
+    status: statusName(lang, claim.claim_status),
+    team: teamName(lang, customerPendingWith(claim)) ?? "—",
+    ...params
+  };
+
+  return Promise.all(
+    recipients(policy).map(([channel, to]) =>
+      queueMessage({
+        claimId: claim.claimId,
+        event,
+        channel,
+        to,
+        subject: channel === "email" ? t(lang, `notify.${event}.subject`, values) : null,
+        text: t(lang, `notify.${event}.${channel}`, values)
+      })
+    )
+  );
+}
+
+/**
+ * Subscribes to claim events and starts retrying failed sends.
+ * Claims filed by a transcript replay aren't real; no one
+ * hears about them.
+ */
+export function startNotifications() {
+  const notify = (claim, event, params) => {
+    if (inSandbox()) return;
+    notifyClaim(claim, event, params).catch(err =>
+      console.error(`⚠️ Could not notify about ${claim.claimId}: ${err.message}`)
+    );
+  };
+
+  claimEvents.on("created", claim => notify(claim, "created"));
+  claimEvents.on("status_changed", (claim, from) =>
+    notify(claim, "status_changed", { from: statusName(claim.language, from) })
+  );
+  startRetryQueue();
+}
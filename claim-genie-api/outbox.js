@@ -0,0 +1,117 @@
+import { getChannels } from "./channels/index.js";
+import { inSandbox } from "./db.js";
+import { addNotification, dueNotifications, getNotification, saveNotification } from "./store.js";
+
+/* =========================
+   OUTBOX
+   Every email and SMS leaves through here, delivered
+   by the sink configured for its channel (channels/).
+   sendMessage is one attempt with no record kept — used
+   for verification codes, which the user can resend.
+   queueMessage records the message and retries failed
+   sends with backoff until MAX_ATTEMPTS is reached.
+   Nothing is delivered from a transcript replay.
+========================= */
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const RETRY_DELAYS_MS = [1, 5, 15, 60].map(minutes => minutes * 60 * 1000);
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Resolves to { ok: true } or { error } — a failed send
+ * never throws.
+ */
+export async function sendMessage({ channel, to, subject, text }) {
+  let sink;
+  try {
+    // A misconfigured sink throws here
+    sink = getChannels()[channel];
+    if (!sink) return { error: `Unknown channel "${channel}"` };
+    if (inSandbox()) return { ok: true };
+
+    await sink.send({ channel, to, subject, text });
+    return { ok: true };
+  } catch (err) {
+    console.warn(`⚠️ ${channel} to ${to} failed via ${sink?.name ?? "its sink"}: ${err.message}`);
+    return { error: err.message };
+  }
+}
+
+function retryAt(attempts) {
+  const delay = RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length) - 1];
+  return new Date(Date.now() + delay).toISOString();
+}
+
+// IDs being sent right now, so the retry queue leaves them alone
+const sending = new Set();
+
+async function attempt(notification) {
+  sending.add(notification.id);
+  try {
+    return await deliver(notification);
+  } finally {
+    sending.delete(notification.id);
+  }
+}
+
+async function deliver(notification) {
+  const attempts = notification.attempts + 1;
+  const result = await sendMessage(notification);
+
+  if (result.ok)
+    return saveNotification(notification.id, { status: "sent", attempts, sentAt: new Date().toISOString() });
+  if (attempts >= MAX_ATTEMPTS)
+    return saveNotification(notification.id, { status: "failed", attempts, lastError: result.error });
+
+  return saveNotification(notification.id, {
+    status: "pending",
+    attempts,
+    lastError: result.error,
+    nextAttemptAt: retryAt(attempts)
+  });
+}
+
+/**
+ * Records a message and makes the first attempt straight away.
+ * It is due from the moment it is recorded, so the retry queue
+ * sends it should we stop before that attempt. `claimId` and
+ * `event` say what the message is about.
+ */
+export async function queueMessage(message) {
+  return attempt(await addNotification(message));
+}
+
+/* =========================
+   RETRY QUEUE
+========================= */
+export async function retryDue() {
+  const due = (await dueNotifications()).filter(n => !sending.has(n.id));
+  for (const notification of due) await attempt(notification);
+  return due.length;
+}
+
+/**
+ * Sends one recorded message again now, including one that
+ * already gave up. Returns null when there is no such message.
+ */
+export async function retryNotification(id) {
+  const notification = await getNotification(id);
+  if (!notification) return null;
+  if (notification.status === "sent") return { error: "This message has already been sent." };
+
+  const attempts = notification.status === "failed" ? 0 : notification.attempts;
+  return { notification: await attempt({ ...notification, attempts }) };
+}
+
+let timer;
+
+export function startRetryQueue() {
+  if (timer) return;
+  timer = setInterval(async () => {
+    try {
+      const retried = await retryDue();
+      if (retried) console.log(`🔁 Retried ${retried} notification(s)`);
+    } catch (err) {
+      console.error(`⚠️ Notification retry failed: ${err.message}`);
+    }
+  }, RETRY_INTERVAL_MS).unref();
+}
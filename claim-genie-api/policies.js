@@ -0,0 +1,147 @@
+import { parseDate } from "./providers/rules.js";
+import { toNumber } from "./coverage.js";
+import { SCHEMAS } from "./schemas.js";
+
+/* =========================
+   POLICY RECORDS
+   What a policy may hold and how each field is
+   checked when the admin API writes one. A rule
+   returns the value to store, or { error }. Values are
+   kept in the form the seed data uses: dates as
+   YYYY-MM-DD, amounts grouped the Indian way
+   ("3,00,000"), flags as Yes / No.
+========================= */
+export const POLICY_NUMBER = /^P\d{3,}$/;
+
+export const POLICY_STATUSES = ["Active", "Inactive", "Lapsed", "Cancelled"];
+
+const FIRST_VEHICLE_YEAR = 1950;
+
+/* =========================
+   RULES
+========================= */
+function text(value) {
+  const t = String(value).trim();
+  return t || { error: "can't be empty" };
+}
+
+function date(value) {
+  const { date } = parseDate(value);
+  return date ?? { error: `"${value}" is not a date (use YYYY-MM-DD)` };
+}
+
+function amount(value) {
+  const n = toNumber(value);
+  if (n === null || n < 0) return { error: `"${value}" is not an amount` };
+  return n.toLocaleString("en-IN");
+}
+
+function percent(value) {
+  const n = toNumber(String(value).replace(/%$/, ""));
+  if (n === null || n < 0 || n > 100) return { error: `"${value}" is not a percentage from 0 to 100` };
+  return String(n);
+}
+
+function flag(value) {
+  const v = String(value).trim().toLowerCase();
+  if (["yes", "y", "true"].includes(v)) return "Yes";
+  if (["no", "n", "false"].includes(v)) return "No";
+  return { error: `"${value}" must be Yes or No` };
+}
+
+function oneOf(options) {
+  return value => options.find(o => o.toLowerCase() === String(value).trim().toLowerCase()) ??
+    { error: `"${value}" must be one of: ${options.join(", ")}` };
+}
+
+function email(value) {
+  const v = String(value).trim();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? v : { error: `"${value}" is not an email address` };
+}
+
+function phone(value) {
+  const digits = String(value).replace(/[\s()-]/g, "").replace(/^\+91/, "");
+  return /^\d{10}$/.test(digits) ? digits : { error: `"${value}" is not a 10-digit phone number` };
+}
+
+function registration(value) {
+  const v = String(value).replace(/\s+/g, "").toUpperCase();
+  return v || { error: "can't be empty" };
+}
+
+// Must name a line of business in schemas.js, e.g. "Motor Insurance"
+function lineOfBusiness(value) {
+  const v = String(value).trim();
+  if (Object.values(SCHEMAS).some(s => s.match.test(v))) return v;
+  return { error: `"${value}" doesn't name a policy type (${Object.values(SCHEMAS).map(s => s.title).join(", ")})` };
+}
+
+function year(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < FIRST_VEHICLE_YEAR || n > new Date().getFullYear())
+    return { error: `"${value}" is not a year from ${FIRST_VEHICLE_YEAR} on` };
+  return String(n);
+}
+
+export const POLICY_FIELDS = {
+  name: text,
+  policyType: lineOfBusiness,
+  policyStatus: oneOf(POLICY_STATUSES),
+  validFrom: date,
+  validTill: date,
+  premium: amount,
+  sumInsured: amount,
+  deductible: amount,
+  coPay: percent,
+  email,
+  phoneNumber: phone,
+  address: text,
+  vehicleModel: text,
+  registrationNumber: registration,
+  engineNumber: text,
+  chassisNumber: text,
+  yearOfManufacture: year,
+  fuelType: text,
+  coverage_ownDamage: flag,
+  coverage_thirdParty: flag,
+  coverage_personalAccident: flag,
+  hospitalNetwork: text
+};
+
+const REQUIRED = ["name", "policyType", "validTill", "sumInsured"];
+
+/* =========================
+   VALIDATION
+========================= */
+/**
+ * Applies `changes` to `policy` (an empty object for a new one)
+ * and checks the result. A null or empty value removes the field.
+ * Returns { policy } with the values normalized, or { errors }
+ * listing every problem as "field: message".
+ */
+export function validatePolicy(policy, changes) {
+  const errors = [];
+  const next = { ...policy };
+
+  for (const [field, value] of Object.entries(changes)) {
+    const rule = POLICY_FIELDS[field];
+    if (!rule) {
+      errors.push(`${field}: unknown field`);
+      continue;
+    }
+    if (value === null || value === undefined || value === "") {
+      delete next[field];
+      continue;
+    }
+    const result = rule(value);
+    if (result?.error) errors.push(`${field}: ${result.error}`);
+    else next[field] = result;
+  }
+
+  for (const field of REQUIRED) if (!next[field]) errors.push(`${field}: is required`);
+
+  if (next.validFrom && next.validTill && next.validTill < next.validFrom)
+    errors.push("validTill: can't be before validFrom");
+
+  return errors.length ? { errors } : { policy: next };
+}
@@ -0,0 +1,105 @@
+import { createOpenAIProvider } from "./openai.js";
+import { createRulesProvider } from "./rules.js";
+import { recordLlmCall } from "../transcripts.js";
+
+/* =========================
+   PROVIDER SELECTION
+   LLM_PROVIDER = openai | local | rules
+   Defaults to openai when OPENAI_API_KEY is set,
+   otherwise to the offline rule-based extractor.
+========================= */
+const TASKS = ["normalizeDate", "extractClaim", "fillMissing", "classifyIntent"];
+
+/**
+ * Wraps a model-backed provider so a failed call (no network,
+ * bad key, endpoint down) falls back to the rule-based one.
+ */
+function withFallback(primary, fallback) {
+  const wrapped = { ...primary };
+
+  for (const task of TASKS) {
+    wrapped[task] = async (...args) => {
+      try {
+        return await primary[task](...args);
+      } catch (err) {
+        console.warn(`⚠️ ${primary.name}.${task} failed, using ${fallback.name}: ${err.message}`);
+        return fallback[task](...args);
+      }
+    };
+  }
+
+  return wrapped;
+}
+
+const MAX_ARG_CHARS = 2000;
+
+// Images are stored as their size, long text cut short
+function brief(arg) {
+  if (Buffer.isBuffer(arg)) return `[${arg.length} bytes]`;
+  if (typeof arg === "string" && arg.length > MAX_ARG_CHARS) return arg.slice(0, MAX_ARG_CHARS) + "…";
+  return arg;
+}
+
+/**
+ * Records every call in the transcript of the chat turn
+ * that made it (see transcripts.js).
+ */
+function traced(provider) {
+  const wrapped = { ...provider };
+
+  for (const [task, run] of Object.entries(provider)) {
+    if (typeof run !== "function") continue;
+    wrapped[task] = async (...args) => {
+      const started = Date.now();
+      const call = { task, provider: provider.name, args: args.map(brief) };
+      try {
+        const result = await run(...args);
+        recordLlmCall({ ...call, ms: Date.now() - started, result });
+        return result;
+      } catch (err) {
+        recordLlmCall({ ...call, ms: Date.now() - started, error: err.message });
+        throw err;
+      }
+    };
+  }
+
+  return wrapped;
+}
+
+export function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "rules")).toLowerCase();
+  const rules = traced(createRulesProvider());
+  const fallback = env.LLM_FALLBACK !== "none";
+
+  let provider;
+  switch (name) {
+    case "openai":
+      provider = createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || "gpt-4.1-mini"
+      });
+      break;
+    case "local":
+      provider = createOpenAIProvider({
+        name: "local",
+        apiKey: env.LLM_API_KEY || "local",
+        baseURL: env.LLM_BASE_URL || "http://localhost:11434/v1",
+        model: env.LLM_MODEL || "llama3.1"
+      });
+      break;
+    case "rules":
+      return rules;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected openai, local or rules)`);
+  }
+
+  provider = traced(provider);
+  return fallback ? withFallback(provider, rules) : provider;
+}
+
+let current;
+
+export function getProvider() {
+  if (!current) current = createProvider();
+  return current;
+}
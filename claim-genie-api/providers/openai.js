@@ -0,0 +1,144 @@
+import OpenAI from "openai";
+
+/* =========================
+   HELPERS
+========================= */
+function safeParseJSON(msg) {
+  try {
+    return JSON.parse(
+      msg.content.replace(/```json/g, "").replace(/```/g, "").trim()
+    );
+  } catch {
+    return null;
+  }
+}
+
+function labelMap(labels) {
+  return Object.entries(labels)
+    .map(([key, label]) => `${label} → ${key}`)
+    .join("\n");
+}
+
+/* =========================
+   PROVIDER
+   Works against api.openai.com and any
+   OpenAI-compatible endpoint (baseURL).
+========================= */
+export function createOpenAIProvider({ name = "openai", apiKey, baseURL, model = "gpt-4.1-mini" } = {}) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  async function complete(messages, temperature) {
+    const out = await client.chat.completions.create({ model, temperature, messages });
+    return out.choices[0].message;
+  }
+
+  async function normalizeDate(raw) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return { date: raw };
+
+    // A failed call throws, so the rules provider can take over (providers/index.js)
+    const msg = await complete(
+      [
+        {
+          role: "system",
+          content:
+            "Convert date to ISO (YYYY-MM-DD). If ambiguous return {ambiguous:true}, if invalid return {invalid:true}. Return ONLY JSON."
+        },
+        { role: "user", content: raw }
+      ],
+      0
+    );
+    return safeParseJSON(msg) || { invalid: true };
+  }
+
+  async function extractClaim(text, labels, hint = "") {
+    const msg = await complete(
+      [
+        {
+          role: "system",
+          content: `
+You are an insurance claim data extractor.
+${hint}
+
+Map labels to JSON keys:
+${labelMap(labels)}
+
+Labels may be inline or multiline.
+The user may write in Hindi, Telugu, English or a mix, in any script.
+Write every value in English, with dates as YYYY-MM-DD and amounts as plain numbers.
+Return ONLY valid JSON with ALL keys:
+${JSON.stringify(Object.keys(labels))}
+`
+        },
+        { role: "user", content: text }
+      ],
+      0.1
+    );
+
+    return safeParseJSON(msg) || {};
+  }
+
+  async function fillMissing(current, missing, text) {
+    const msg = await complete(
+      [
+        {
+          role: "system",
+          content:
+            "Fill ONLY missing claim fields. The user may write in Hindi, Telugu or English; " +
+            "write values in English. Return FULL JSON."
+        },
+        {
+          role: "user",
+          content: `Current:\n${JSON.stringify(current)}\nMissing:\n${missing}\nUser:\n${text}`
+        }
+      ],
+      0.1
+    );
+
+    const parsed = safeParseJSON(msg);
+    return parsed ? { ...current, ...parsed } : current;
+  }
+
+  async function classifyIntent(text, intents) {
+    const msg = await complete(
+      [
+        {
+          role: "system",
+          content: `
+You route messages for an insurance claims assistant.
+
+Intents:
+${Object.entries(intents).map(([name, meaning]) => `${name}: ${meaning}`).join("\n")}
+
+Messages may be in Hindi, Telugu, English or a mix.
+
+Return ONLY JSON: {"intent": one of the names above, "claimId": "CLM-…" or null, "policyNumber": "P…" or null}
+`
+        },
+        { role: "user", content: text }
+      ],
+      0
+    );
+
+    const parsed = safeParseJSON(msg);
+    if (!parsed) throw new Error("Unreadable intent response");
+    return parsed;
+  }
+
+  async function readImage(buffer, mimeType) {
+    const msg = await complete(
+      [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: "Transcribe all text in this bill or receipt. Return plain text only." },
+            { type: "image_url", image_url: { url: `data:${mimeType};base64,${buffer.toString("base64")}` } }
+          ]
+        }
+      ],
+      0
+    );
+    return msg.content || "";
+  }
+
+  return { name, model, normalizeDate, extractClaim, fillMissing, classifyIntent, readImage };
+}
@@ -0,0 +1,309 @@
+/* =========================
+   RULE-BASED PROVIDER
+   Deterministic, offline extractor used when no
+   model is configured (dev / CI) and as a fallback.
+========================= */
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december"
+];
+
+const LABEL_ALIASES = {
+  claimant_name: ["name", "claimant"],
+  policy_number: ["policy no", "policy"],
+  claim_type: ["type of claim", "type"],
+  incident_date: ["date of incident", "accident date", "date"],
+  incident_location: ["location", "place"],
+  claim_amount: ["amount", "estimate", "total"],
+  service_provider: ["garage", "workshop", "hospital", "airline", "provider"],
+  description_of_loss: ["description", "details"],
+  patient_name: ["patient"],
+  discharge_date: ["date of discharge", "discharge"],
+  diagnosis: ["illness", "condition", "treatment"],
+  claim_mode: ["claim mode", "mode"],
+  trip_start: ["departure date", "trip start", "departure"],
+  trip_end: ["return date", "trip end", "return"]
+};
+
+const CLAIM_TYPE_KEYWORDS = /\b(accident|collision|theft|fire|flood|hospitali[sz]ation|surgery)\b/i;
+
+const DATE_PATTERN = new RegExp(
+  [
+    "\\b\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}\\b",
+    "\\b\\d{1,2}[-/.]\\d{1,2}[-/.]\\d{2,4}\\b",
+    "\\b\\d{1,2}(?:st|nd|rd|th)?\\s+[a-z]{3,9},?\\s+\\d{4}\\b",
+    "\\b[a-z]{3,9}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b",
+    "\\btoday\\b",
+    "\\byesterday\\b"
+  ].join("|"),
+  "gi"
+);
+
+/* =========================
+   DATES
+========================= */
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function toISO(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (
+    date.getUTCFullYear() !== y ||
+    date.getUTCMonth() !== m - 1 ||
+    date.getUTCDate() !== d
+  )
+    return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+function monthIndex(word) {
+  if (word.length < 3) return -1;
+  return MONTHS.findIndex(m => m.startsWith(word));
+}
+
+function fullYear(y) {
+  const n = Number(y);
+  return y.length === 2 ? 2000 + n : n;
+}
+
+export function parseDate(raw) {
+  const t = String(raw ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/(\d)(st|nd|rd|th)\b/g, "$1")
+    .replace(/,/g, " ")
+    .replace(/\s+/g, " ");
+
+  if (t === "today" || t === "yesterday") {
+    const d = new Date();
+    if (t === "yesterday") d.setDate(d.getDate() - 1);
+    return { date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` };
+  }
+
+  let m = t.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (m) {
+    const date = toISO(Number(m[1]), Number(m[2]), Number(m[3]));
+    return date ? { date } : { invalid: true };
+  }
+
+  m = t.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (m) {
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    const y = fullYear(m[3]);
+    let date;
+    if (a > 12) date = toISO(y, b, a);
+    else if (b > 12) date = toISO(y, a, b);
+    else if (a === b) date = toISO(y, a, a);
+    else return { ambiguous: true };
+    return date ? { date } : { invalid: true };
+  }
+
+  m = t.match(/^(\d{1,2}) ([a-z]+) (\d{4})$/) || t.match(/^([a-z]+) (\d{1,2}) (\d{4})$/);
+  if (m) {
+    const [day, word] = /^\d/.test(m[1]) ? [m[1], m[2]] : [m[2], m[1]];
+    const month = monthIndex(word);
+    if (month < 0) return { invalid: true };
+    const date = toISO(Number(m[3]), month + 1, Number(day));
+    return date ? { date } : { invalid: true };
+  }
+
+  return { invalid: true };
+}
+
+/* =========================
+   FIELD PARSING
+========================= */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function parseAmount(raw) {
+  const m = String(raw ?? "").match(/(\d[\d,]*(?:\.\d+)?)\s*(k|lakhs?)?\b/i);
+  if (!m) return null;
+
+  let amount = Number(m[1].replace(/,/g, ""));
+  if (m[2]?.toLowerCase() === "k") amount *= 1000;
+  else if (m[2]) amount *= 100000;
+  return isNaN(amount) ? null : amount;
+}
+
+function labelNames(labels) {
+  return Object.entries(labels)
+    .flatMap(([key, label]) => [
+      [key, label],
+      [key, key.replace(/_/g, " ")],
+      ...(LABEL_ALIASES[key] || []).map(alias => [key, alias])
+    ])
+    .sort((a, b) => b[1].length - a[1].length);
+}
+
+function cleanValue(key, value) {
+  const v = value.trim().replace(/^[,;]+|[,;.]+$/g, "").trim();
+  if (!v) return null;
+  if (key === "claim_amount") return parseAmount(v);
+  return v;
+}
+
+/**
+ * Reads "Label: value" pairs, inline or one per line.
+ * Returns only the fields that were found.
+ */
+export function parseLabelledFields(text, labels) {
+  const names = labelNames(labels);
+  const lookup = new Map(names.map(([key, name]) => [name.toLowerCase(), key]));
+  const pattern = new RegExp(
+    `(?<![\\w])(${names.map(([, name]) => escapeRegExp(name)).join("|")})(?:\\s*[:=]|\\s+[-–]\\s)\\s*`,
+    "gi"
+  );
+
+  const matches = [...String(text ?? "").matchAll(pattern)];
+  const out = {};
+
+  matches.forEach((m, i) => {
+    const key = lookup.get(m[1].toLowerCase());
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const value = cleanValue(key, text.slice(m.index + m[0].length, end));
+    if (value != null && out[key] == null) out[key] = value;
+  });
+
+  return out;
+}
+
+/**
+ * Best-effort guesses for free-text input without labels.
+ */
+function guessFields(text) {
+  const out = {};
+
+  const amount =
+    text.match(/(?:₹|rs\.?|inr)\s*(\d[\d,]*(?:\.\d+)?\s*(?:k|lakhs?)?)/i) ||
+    text.match(/(\d[\d,]*(?:\.\d+)?\s*(?:k|lakhs?)?)\s*(?:rupees|rs\b|inr\b)/i);
+  if (amount) out.claim_amount = parseAmount(amount[1]);
+
+  for (const m of text.matchAll(DATE_PATTERN)) {
+    const parsed = parseDate(m[0]);
+    if (!parsed.invalid) {
+      out.incident_date = m[0];
+      break;
+    }
+  }
+
+  const location = text.match(/\b(?:in|near|at)\s+([A-Z][\w-]*(?:\s+[A-Z][\w-]*)*)/);
+  if (location) out.incident_location = location[1];
+
+  const type = text.match(CLAIM_TYPE_KEYWORDS);
+  if (type) out.claim_type = type[1].charAt(0).toUpperCase() + type[1].slice(1).toLowerCase();
+
+  return out;
+}
+
+/**
+ * Reads corrections such as "change amount to 7500" or labelled
+ * lines ("Location: Kondapur"). Returns only the fields named.
+ */
+export function parseCorrections(text, labels) {
+  const labelled = parseLabelledFields(text, labels);
+  if (Object.keys(labelled).length) return labelled;
+
+  const m = String(text ?? "")
+    .trim()
+    .match(/^(?:please\s+)?(?:change|set|update|make|correct|edit)\s+(?:the\s+|my\s+)?(.+?)\s+(?:to|as|=)\s+(.+)$/i);
+  if (!m) return {};
+
+  const hit = labelNames(labels).find(([, name]) => name.toLowerCase() === m[1].toLowerCase());
+  if (!hit) return {};
+
+  const value = cleanValue(hit[0], m[2]);
+  return value == null ? {} : { [hit[0]]: value };
+}
+
+/* =========================
+   INTENTS
+   COMMANDS are the exact commands, which intents.js
+   accepts in every state; the keyword rules add free
+   phrasing. Checked in order; the first match wins.
+========================= */
+export const COMMANDS = [
+  ["EXIT", /^exit$/],
+  ["RESTART", /^restart$/],
+  ["HELP", /^help$/],
+  ["RETRIEVE_CLAIM", /retrieve claim/],
+  ["VIEW_POLICY_CLAIMS", /view my claims|all claims/],
+  ["FILE_NEW_CLAIM", /file a new claim|^new claim$/],
+  ["CANCEL_CLAIM", /^(cancel|withdraw) (my |this )?claim\b/],
+  ["UPDATE_CLAIM", /^(amend|change|edit) ((my |this )?claim|clm-?\d+)$/],
+  ["SEND_MESSAGE", /^message ((my |this )?claim|clm-?\d+)$/],
+  ["CONTACT_AGENT", /^(contact|talk to|speak to) (an? )?(agent|person|human)$/]
+];
+
+const INTENT_PATTERNS = [
+  ...COMMANDS,
+  ["EXIT", /^(quit|bye|goodbye)$/],
+  ["RESTART", /^(start over|reset)$/],
+  ["HELP", /^(menu|\?)$|\b(what can you do|how does this work|help me)\b/],
+  ["CONTACT_AGENT", /\b(agent|human|real person|call me|call back|callback|speak to|talk to|customer care)\b/],
+  ["CANCEL_CLAIM", /\b(cancel|withdraw)\b.*\b(claim|clm-\d+)\b|\bclaim\b.*\b(cancel|withdraw)/],
+  ["RETRIEVE_CLAIM", /\b(status|track|happening|update on|news on|progress)\b.*\b(claim|clm-\d+)/],
+  ["UPDATE_CLAIM", /\b(change|edit|amend|modify|correct)\b.*\bclaim\b|\bupdate (my|the|this|a) claim\b/],
+  ["SEND_MESSAGE", /\b(send|add|share|provide)\b.*\b(message|info(rmation)?|details)\b.*\b(claim|clm-\d+|team)\b/],
+  ["VIEW_POLICY_CLAIMS", /\b(view|show|list|see)\b.*\bclaims\b|\bmy claims\b/],
+  ["FILE_NEW_CLAIM", /\b(file|new|raise|lodge|make|start|open)\b.*\bclaim\b|\b(another|had an?|met with an?) (accident|incident|mishap)\b/],
+  ["RETRIEVE_CLAIM", /\bclm-\d+\b/]
+];
+
+export function classifyByKeywords(text) {
+  const t = String(text ?? "").toLowerCase().trim();
+  return INTENT_PATTERNS.find(([, pattern]) => pattern.test(t))?.[0] ?? "CONTINUE";
+}
+
+/* =========================
+   PROVIDER
+========================= */
+export function createRulesProvider() {
+  async function normalizeDate(raw) {
+    return parseDate(raw);
+  }
+
+  async function extractClaim(text, labels) {
+    const labelled = parseLabelledFields(text, labels);
+    const guessed = guessFields(String(text ?? ""));
+    const out = {};
+
+    for (const key of Object.keys(labels)) {
+      if (labelled[key] != null) out[key] = labelled[key];
+      else if (guessed[key] != null) out[key] = guessed[key];
+    }
+
+    if (!Object.keys(labelled).length && text?.trim() && "description_of_loss" in labels)
+      out.description_of_loss = text.trim();
+
+    return out;
+  }
+
+  async function fillMissing(current, missing, text, labels) {
+    const labelled = parseLabelledFields(text, labels);
+    const out = { ...current };
+
+    if (Object.keys(labelled).length) {
+      for (const key of missing) if (labelled[key] != null) out[key] = labelled[key];
+      return out;
+    }
+
+    if (missing.length === 1) {
+      out[missing[0]] = cleanValue(missing[0], text);
+      return out;
+    }
+
+    const guessed = guessFields(String(text ?? ""));
+    for (const key of missing) if (guessed[key] != null) out[key] = guessed[key];
+    return out;
+  }
+
+  async function classifyIntent(text) {
+    return { intent: classifyByKeywords(text) };
+  }
+
+  return { name: "rules", model: null, normalizeDate, extractClaim, fillMissing, classifyIntent };
+}
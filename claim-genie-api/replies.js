@@ -0,0 +1,112 @@
+import { getSchema } from "./schemas.js";
+import { fieldLabels, t } from "./i18n.js";
+
+/* =========================
+   STRUCTURED REPLIES
+   handleMessage returns plain text or { text, ...ui }.
+   Anything not given explicitly is derived from the
+   state the session ends up in. ui may hold:
+     actions  [{ label, message }]   quick-reply buttons
+     card     { title, rows }        summary card
+     form     { fields, submit }     inline inputs; a field
+                                     may carry its current value
+                                     and a list of options
+     confirm  { yes, no }            yes / no buttons
+   Every button sends a plain chat message, so typing
+   the same words still works. Labels follow the
+   session's language; the messages stay in English.
+========================= */
+const action = (label, message = label) => ({ label, message });
+
+// Quick replies under a claim the policyholder is looking at
+export function claimActions(session, { amend, followUp, withdraw }) {
+  const say = key => t(session.language, `actions.${key}`);
+  const id = session.claimId;
+  return [
+    ...(amend ? [action(say("amend"), `amend ${id}`)] : []),
+    ...(followUp ? [action(say("follow_up"), `message ${id}`)] : []),
+    ...(withdraw ? [action(say("withdraw"), `withdraw claim ${id}`)] : []),
+    ...menuActions(session)
+  ];
+}
+
+// canFile is false when the policy can't take new claims
+export function menuActions(session, { canFile = true } = {}) {
+  const say = key => t(session.language, `actions.${key}`);
+  if (!session.userDetails) return [action(say("restart"), "restart")];
+  return [
+    ...(canFile ? [action(say("file_claim"), "File a New Claim")] : []),
+    action(say("view_claims"), "View My Claims"),
+    action(say("retrieve_claim"), "Retrieve Claim"),
+    action(say("restart"), "restart"),
+    action(say("exit"), "exit")
+  ];
+}
+
+function formField(schema, name, value, lang) {
+  const field = { name, label: fieldLabels(schema, lang)[name] };
+  if (value !== undefined) field.value = value;
+  if (schema.choices[name]) field.options = schema.choices[name];
+  return field;
+}
+
+function uiForState(session) {
+  const schema = getSchema(session.schema);
+  const lang = session.language;
+  const say = key => t(lang, `actions.${key}`);
+  switch (session.state) {
+    case "awaiting_otp":
+      return { actions: [action(say("resend"), "resend")] };
+    case "confirm_new_claim":
+    case "confirm_extracted":
+    case "confirm_withdraw":
+    case "confirm_amend":
+      return { confirm: { yes: "yes", no: "no" } };
+    case "amend_claim": {
+      const amending = getSchema(session.amendment.schema);
+      return {
+        actions: [action(say("cancel"), "cancel")],
+        form: {
+          fields: session.amendment.fields.map(name =>
+            formField(amending, name, session.amendment.values[name] ?? "", lang)
+          ),
+          submit: say("save_changes")
+        }
+      };
+    }
+    case "awaiting_follow_up":
+      return { actions: [action(say("cancel"), "cancel")] };
+    case "awaiting_missing":
+      return {
+        form: {
+          fields: session.missingFields.map(name => formField(schema, name, undefined, lang)),
+          submit: say("send")
+        }
+      };
+    case "review_claim":
+      return {
+        actions: [action(say("confirm"), "confirm"), action(say("cancel"), "cancel")],
+        form: {
+          fields: Object.keys(schema.fields)
+            .filter(name => name !== "policy_number")
+            .map(name => formField(schema, name, session.claimData[name] ?? "", lang)),
+          submit: say("save_changes")
+        }
+      };
+    case "awaiting_claim_id":
+    case "done":
+      return { actions: menuActions(session) };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Splits a handler result into the reply text and the ui
+ * payload sent alongside it, plus the language it is in.
+ */
+export function toPayload(result, session) {
+  const { text, ...explicit } = typeof result === "string" ? { text: result } : result;
+  const ui = { ...uiForState(session), ...explicit };
+  return { reply: text, language: session.language ?? "en", ui: Object.keys(ui).length ? ui : undefined };
+}
@@ -0,0 +1,142 @@
+import { STATUSES } from "./workflow.js";
+import { getSchema } from "./schemas.js";
+import { amountOf, filedDate, incidentDate, policyType } from "./filters.js";
+import { settledAmount } from "./settlement.js";
+
+/* =========================
+   REPORTS
+   Counts and amounts over a filtered set of claims,
+   grouped the ways management asks for them. Free-text
+   fields (claim type, location) are grouped ignoring
+   case and spacing. Every group is
+   { key, label, count, totalAmount, averageAmount };
+   amounts leave out claims without a usable amount.
+========================= */
+const UNSPECIFIED = "Unspecified";
+
+/* =========================
+   HELPERS
+========================= */
+function normalized(text) {
+  return String(text ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function titleCase(text) {
+  return text.replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function totals(claims) {
+  const amounts = claims.map(amountOf).filter(a => a !== null);
+  const totalAmount = amounts.reduce((sum, a) => sum + a, 0);
+  return {
+    count: claims.length,
+    totalAmount,
+    averageAmount: amounts.length ? Math.round((totalAmount / amounts.length) * 100) / 100 : null
+  };
+}
+
+/**
+ * Groups claims by `keyOf` → [key, label]. Largest groups
+ * first unless `order` lists the keys in the order wanted.
+ */
+function groupBy(claims, keyOf, order) {
+  const groups = new Map();
+  for (const claim of claims) {
+    const [key, label] = keyOf(claim);
+    if (!groups.has(key)) groups.set(key, { key, label, claims: [] });
+    groups.get(key).claims.push(claim);
+  }
+
+  const rows = [...groups.values()].map(({ key, label, claims }) => ({ key, label, ...totals(claims) }));
+  if (order) return rows.sort((a, b) => order(a.key) - order(b.key));
+  return rows.sort((a, b) => b.count - a.count || String(a.label).localeCompare(b.label));
+}
+
+function textKey(value) {
+  const key = normalized(value);
+  return key ? [key, titleCase(key)] : ["", UNSPECIFIED];
+}
+
+function monthKey(claim) {
+  const day = filedDate(claim);
+  return day ? [day.slice(0, 7), day.slice(0, 7)] : ["", UNSPECIFIED];
+}
+
+// Unknown keys (no date, a status no longer in workflow.json) sort last
+function positionIn(list) {
+  return key => (list.includes(key) ? list.indexOf(key) : list.length);
+}
+
+/* =========================
+   SUMMARY
+========================= */
+export function summarizeClaims(claims) {
+  const months = [...new Set(claims.map(filedDate).filter(Boolean).map(d => d.slice(0, 7)))].sort();
+
+  return {
+    ...totals(claims),
+    byPolicyType: groupBy(claims, c => [policyType(c), getSchema(policyType(c)).title]),
+    byClaimType: groupBy(claims, c => textKey(c.claim_type)),
+    byLocation: groupBy(claims, c => textKey(c.incident_location)),
+    byStatus: groupBy(claims, c => [c.claim_status, c.claim_status], positionIn(STATUSES)),
+    byMonth: groupBy(claims, monthKey, positionIn(months))
+  };
+}
+
+/* =========================
+   EXPORTS
+   Tables for spreadsheet.js.
+========================= */
+const CLAIM_COLUMNS = [
+  ["Claim ID", c => c.claimId],
+  ["Filed", c => filedDate(c)],
+  ["Policy Number", c => c.policy_number],
+  ["Policy Type", c => getSchema(policyType(c)).title],
+  ["Claimant Name", c => c.claimant_name],
+  ["Claim Type", c => c.claim_type],
+  ["Incident Date", c => incidentDate(c) ?? c.incident_date],
+  ["Incident Location", c => c.incident_location],
+  ["Service Provider", c => c.service_provider],
+  ["Claim Amount", c => amountOf(c)],
+  ["Status", c => c.claim_status],
+  ["Pending With", c => c.pending_with],
+  ["Risk Score", c => c.risk?.score],
+  ["Risk Level", c => c.risk?.level],
+  ["Settlement", c => settledAmount(c.settlement)],
+  ["Description of Loss", c => c.description_of_loss ?? c.diagnosis]
+];
+
+export function claimsTable(claims) {
+  return {
+    name: "Claims",
+    rows: [CLAIM_COLUMNS.map(([title]) => title), ...claims.map(c => CLAIM_COLUMNS.map(([, value]) => value(c) ?? null))]
+  };
+}
+
+/**
+ * The summary as sheets: totals, then one per grouping.
+ */
+export function summaryTables(summary) {
+  const groupTable = (name, heading, groups) => ({
+    name,
+    rows: [
+      [heading, "Claims", "Total Amount", "Average Amount"],
+      ...groups.map(g => [g.label, g.count, g.totalAmount, g.averageAmount])
+    ]
+  });
+
+  return [
+    {
+      name: "Summary",
+      rows: [
+        ["Claims", "Total Amount", "Average Amount"],
+        [summary.count, summary.totalAmount, summary.averageAmount]
+      ]
+    },
+    groupTable("By Policy Type", "Policy Type", summary.byPolicyType),
+    groupTable("By Claim Type", "Claim Type", summary.byClaimType),
+    groupTable("By Location", "Location", summary.byLocation),
+    groupTable("By Status", "Status", summary.byStatus),
+    groupTable("By Month", "Month Filed", summary.byMonth)
+  ];
+}
@@ -0,0 +1,33 @@
+import express from "express";
+import { allow, login, logout } from "../auth.js";
+
+/* =========================
+   SIGN-IN API
+   /api/auth — staff exchange a username and password
+   for a bearer token, sent on later requests as
+   "Authorization: Bearer <token>".
+========================= */
+const router = express.Router();
+
+router.post("/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const result = await login(username, password, req.ip);
+  if (result.error) return res.status(401).json({ error: result.error });
+  res.json(result);
+});
+
+router.post("/logout", allow("agent", "adjuster"), async (req, res) => {
+  await logout(req.token);
+  res.status(204).end();
+});
+
+router.get("/me", allow("agent", "adjuster"), (req, res) => {
+  res.json(req.user);
+});
+
+router.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
@@ -0,0 +1,421 @@
+import express from "express";
+import {
+  listClaims,
+  getClaimById,
+  getClaimsByPolicy,
+  getPolicy,
+  getTranscript,
+  updateClaim,
+  deleteClaim
+} from "../store.js";
+import { SCHEMAS, getSchema } from "../schemas.js";
+import {
+  WORKFLOW,
+  acceptsFollowUps,
+  addFollowUp,
+  amendableFields,
+  appendHistory,
+  rerouteClaim,
+  resolveStatus,
+  transitionClaim
+} from "../workflow.js";
+import { RISK_LEVELS, amountOf, buildFilter, incidentDate } from "../filters.js";
+import { scoreClaim } from "../fraud.js";
+import { toNumber } from "../coverage.js";
+import { attachmentPath, attachmentUrl, removeAttachmentFiles } from "../attachments.js";
+import { applyAmendment, checkAmendment } from "../amendments.js";
+import { decideSettlement, parseItems, recalculateSettlement } from "../settlement.js";
+import { importClaims, readImport } from "../importer.js";
+import { actorName, allow } from "../auth.js";
+
+/* =========================
+   ADJUSTER API
+   /api/claims — manage claims outside the chat.
+   Adjusters work claims; agents may only pass on
+   changes from policyholders; deleting is for admins.
+========================= */
+const router = express.Router();
+
+const SORT_FIELDS = ["claimId", "policy_number", "claim_status", "incident_date", "claim_amount", "risk", "createdAt"];
+const MAX_PAGE_SIZE = 100;
+
+/* =========================
+   HELPERS
+========================= */
+function actorOf(req) {
+  return actorName(req.user);
+}
+
+function editableFields(schema) {
+  return Object.keys(schema.fields).filter(f => f !== "policy_number");
+}
+
+// Trimmed text from the body: "" when absent, null when it isn't a string
+function bodyText(req, key) {
+  const value = req.body?.[key] ?? "";
+  return typeof value === "string" ? value.trim() : null;
+}
+
+function plain(message) {
+  return message.replace(/^[^\w]+/u, "");
+}
+
+function sortValue(claim, field) {
+  if (field === "claimId") return Number(claim.claimId.replace(/\D/g, ""));
+  if (field === "incident_date") return incidentDate(claim) ?? "";
+  if (field === "claim_amount") return amountOf(claim) ?? 0;
+  if (field === "risk") return claim.risk?.score ?? -1;
+  return String(claim[field] ?? "").toLowerCase();
+}
+
+function notFound(req, res) {
+  res.status(404).json({ error: `Claim ${req.params.id} not found.` });
+}
+
+async function loadClaim(req, res) {
+  const claim = await getClaimById(req.params.id);
+  if (!claim) notFound(req, res);
+  return claim;
+}
+
+/**
+ * Applies `change` to the claim in one transaction and sends
+ * the result; a returned { error } becomes a 409.
+ */
+async function saveChange(req, res, change) {
+  const result = await updateClaim(req.params.id, change);
+  if (!result) return notFound(req, res);
+  if (result.error) return res.status(409).json({ error: result.error });
+  res.json(result.claim);
+}
+
+/* =========================
+   ROUTES
+========================= */
+router.get("/", allow("adjuster"), async (req, res) => {
+  const { filter, error } = buildFilter(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const sort = req.query.sort || "createdAt";
+  if (!SORT_FIELDS.includes(sort))
+    return res.status(400).json({ error: `Cannot sort by ${sort}. Use one of: ${SORT_FIELDS.join(", ")}` });
+  const dir = req.query.order === "asc" ? 1 : -1;
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+
+  const matched = (await listClaims())
+    .filter(filter)
+    .sort((a, b) => {
+      const x = sortValue(a, sort);
+      const y = sortValue(b, sort);
+      return x < y ? -dir : x > y ? dir : 0;
+    });
+
+  res.json({
+    claims: matched.slice((page - 1) * pageSize, page * pageSize),
+    total: matched.length,
+    page,
+    pageSize
+  });
+});
+
+router.get("/meta", allow("adjuster"), (req, res) => {
+  res.json({
+    fields: getSchema().fields,
+    schemas: Object.fromEntries(
+      Object.values(SCHEMAS).map(s => [
+        s.type,
+        { title: s.title, fields: s.fields, required: s.required, choices: s.choices }
+      ])
+    ),
+    initial: WORKFLOW.initial,
+    states: WORKFLOW.states,
+    riskLevels: RISK_LEVELS,
+    sortFields: SORT_FIELDS
+  });
+});
+
+/* =========================
+   BULK IMPORT
+   A CSV body (Content-Type: text/csv) or JSON
+   { claims: [...] } (or just the list). ?dryRun=true reports what would
+   be imported without filing anything.
+========================= */
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "2mb" });
+
+router.post("/import", allow("adjuster"), csvBody, async (req, res) => {
+  const csv = typeof req.body === "string";
+  const options = csv ? req.query : { ...req.query, ...req.body };
+  const dryRun = ["true", "1", "yes"].includes(String(options.dryRun ?? "").toLowerCase());
+
+  const claims = Array.isArray(req.body) ? req.body : req.body?.claims;
+  const input = readImport(csv ? req.body : Array.isArray(claims) ? claims : null);
+  if (input.error) return res.status(400).json({ error: input.error });
+
+  const result = await importClaims(input.rows, { by: actorOf(req), dryRun });
+  res.json({ ...result, ignoredColumns: input.ignoredColumns });
+});
+
+router.get("/:id", allow("adjuster"), async (req, res) => {
+  const claim = await loadClaim(req, res);
+  if (claim) res.json(claim);
+});
+
+router.patch("/:id", allow("adjuster"), async (req, res) => {
+  const { reason, ...fields } = req.body || {};
+
+  const keys = Object.keys(fields);
+  if (!keys.length) return res.status(400).json({ error: "No fields to update." });
+
+  const claim = await loadClaim(req, res);
+  if (!claim) return;
+
+  const schema = getSchema(claim.schema);
+  const notEditable = keys.filter(k => !editableFields(schema).includes(k));
+  if (notEditable.length)
+    return res.status(400).json({ error: `These fields cannot be edited: ${notEditable.join(", ")}` });
+
+  const policy = await getPolicy(claim.policy_number);
+  const checked = await checkAmendment(claim, fields, policy);
+  if (checked.error) return res.status(400).json({ error: plain(checked.error) });
+
+  const others = await getClaimsByPolicy(claim.policy_number);
+
+  await saveChange(req, res, current => {
+    applyAmendment(current, checked, { by: actorOf(req), source: "adjuster", reason, policy, others });
+  });
+});
+
+router.get("/:id/revisions", allow("adjuster"), async (req, res) => {
+  const claim = await loadClaim(req, res);
+  if (claim) res.json(claim.revisions);
+});
+
+/* =========================
+   POLICYHOLDER CHANGES
+   The same amendments and follow-up messages the chat
+   offers, for requests that reach us another way
+   (an agent on the phone, a letter). `policyNumber`
+   must match the claim's.
+========================= */
+async function loadOwnClaim(req, res) {
+  const claim = await loadClaim(req, res);
+  if (!claim) return null;
+
+  const policyNumber = String(req.body?.policyNumber ?? "").trim().toUpperCase();
+  if (policyNumber !== claim.policy_number.toUpperCase()) {
+    res.status(403).json({ error: `Claim ${claim.claimId} is not on policy ${policyNumber || "(none given)"}.` });
+    return null;
+  }
+  return claim;
+}
+
+// e.g. "Priya (Agent) for John"
+function onBehalfOf(req, policy) {
+  return `${actorOf(req)} for ${policy?.name ?? "the policyholder"}`;
+}
+
+router.post("/:id/amendments", allow("agent", "adjuster"), async (req, res) => {
+  const { changes, reason } = req.body || {};
+  const keys = Object.keys(changes && typeof changes === "object" ? changes : {});
+  if (!keys.length) return res.status(400).json({ error: "No changes given." });
+
+  const claim = await loadOwnClaim(req, res);
+  if (!claim) return;
+
+  const allowed = amendableFields(claim);
+  if (!allowed.length) {
+    const error = `Claim ${claim.claimId} is ${claim.claim_status} and can no longer be amended.`;
+    return res.status(409).json({ error });
+  }
+  const refused = keys.filter(k => !allowed.includes(k));
+  if (refused.length)
+    return res.status(409).json({
+      error: `While ${claim.claim_status}, only these fields can be amended: ${allowed.join(", ")}.`
+    });
+
+  const policy = await getPolicy(claim.policy_number);
+  const checked = await checkAmendment(claim, changes, policy);
+  if (checked.error) return res.status(400).json({ error: plain(checked.error) });
+
+  const others = await getClaimsByPolicy(claim.policy_number);
+  const by = onBehalfOf(req, policy);
+  let revision;
+
+  const result = await updateClaim(claim.claimId, current => {
+    if (keys.some(k => !amendableFields(current).includes(k)))
+      return { error: `Claim ${current.claimId} is now ${current.claim_status}; those fields can't be amended.` };
+    revision = applyAmendment(current, checked, { by, source: "api", reason, policy, others });
+  });
+  if (!result) return notFound(req, res);
+  if (result.error) return res.status(409).json({ error: result.error });
+  if (!revision) return res.status(400).json({ error: "The claim already has these values." });
+
+  res.status(201).json(revision);
+});
+
+router.post("/:id/messages", allow("agent", "adjuster"), async (req, res) => {
+  const text = bodyText(req, "text");
+  if (!text) return res.status(400).json({ error: "Message text is required." });
+
+  const claim = await loadOwnClaim(req, res);
+  if (!claim) return;
+
+  const by = onBehalfOf(req, await getPolicy(claim.policy_number));
+  let message;
+
+  const result = await updateClaim(claim.claimId, current => {
+    if (!acceptsFollowUps(current))
+      return { error: `Claim ${current.claimId} is ${current.claim_status} and takes no more messages.` };
+    message = addFollowUp(current, { by, text });
+  });
+  if (!result) return notFound(req, res);
+  if (result.error) return res.status(409).json({ error: result.error });
+
+  res.status(201).json(message);
+});
+
+// Scores the claim again, e.g. after related claims were filed
+router.post("/:id/risk", allow("adjuster"), async (req, res) => {
+  const claim = await loadClaim(req, res);
+  if (!claim) return;
+
+  const policy = await getPolicy(claim.policy_number);
+  const others = await getClaimsByPolicy(claim.policy_number);
+
+  await saveChange(req, res, current => {
+    current.risk = scoreClaim(current, policy, others);
+    rerouteClaim(current, actorOf(req));
+  });
+});
+
+/* =========================
+   SETTLEMENT
+   The estimate saved when the claim was filed can be
+   calculated again, with the assessed items for a motor
+   claim, then approved or overridden.
+========================= */
+router.post("/:id/settlement", allow("adjuster"), async (req, res) => {
+  const claim = await loadClaim(req, res);
+  if (!claim) return;
+
+  let items;
+  if (req.body?.items !== undefined) {
+    if (getSchema(claim.schema).type !== "motor") return res.status(400).json({ error: "Only motor claims are itemized." });
+    const parsed = parseItems(req.body.items);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    items = parsed.items;
+  }
+
+  const policy = await getPolicy(claim.policy_number);
+  await saveChange(req, res, current => {
+    if (!recalculateSettlement(current, policy, { by: actorOf(req), items }))
+      return { error: `No settlement can be calculated for claim ${current.claimId}.` };
+  });
+});
+
+// Without `amount` the calculated payout is approved as it stands
+router.patch("/:id/settlement", allow("adjuster"), async (req, res) => {
+  const { amount } = req.body || {};
+  const value = toNumber(amount);
+  if (amount !== undefined && amount !== null && (value === null || value < 0))
+    return res.status(400).json({ error: "amount must be a number of 0 or more." });
+  const note = bodyText(req, "note");
+  if (note === null) return res.status(400).json({ error: "note must be text." });
+
+  await saveChange(req, res, claim => {
+    const decision = decideSettlement(claim, { amount, by: actorOf(req), note });
+    if (decision.error) return decision;
+  });
+});
+
+router.patch("/:id/status", allow("adjuster"), async (req, res) => {
+  const { status, note } = req.body || {};
+  if (!resolveStatus(status)) return res.status(400).json({ error: `Unknown status "${status}".` });
+
+  await saveChange(req, res, claim => transitionClaim(claim, status, { by: actorOf(req), note }));
+});
+
+router.patch("/:id/assignee", allow("adjuster"), async (req, res) => {
+  const text = bodyText(req, "assignee");
+  if (text === null) return res.status(400).json({ error: "assignee must be text." });
+  const assignee = text || null;
+
+  await saveChange(req, res, claim => {
+    const from = claim.assignee ?? null;
+    if (from === assignee) return;
+
+    claim.assignee = assignee;
+    appendHistory(claim, {
+      by: actorOf(req),
+      action: assignee ? "assigned" : "unassigned",
+      changes: { assignee: { from, to: assignee } },
+      internal: true
+    });
+  });
+});
+
+router.post("/:id/notes", allow("adjuster"), async (req, res) => {
+  const text = bodyText(req, "text");
+  if (!text) return res.status(400).json({ error: "Note text is required." });
+
+  const note = { at: new Date().toISOString(), by: actorOf(req), text };
+  const result = await updateClaim(req.params.id, claim => {
+    claim.notes = [...(claim.notes || []), note];
+    appendHistory(claim, { by: note.by, action: "note_added", internal: true });
+  });
+  if (!result) return notFound(req, res);
+
+  res.status(201).json(note);
+});
+
+router.post("/:id/withdraw", allow("adjuster"), async (req, res) => {
+  await saveChange(req, res, claim =>
+    transitionClaim(claim, "Withdrawn", { by: actorOf(req), note: req.body?.reason })
+  );
+});
+
+router.delete("/:id", allow("admin"), async (req, res) => {
+  const claim = await deleteClaim(req.params.id);
+  if (!claim) return notFound(req, res);
+
+  await removeAttachmentFiles(claim.attachments);
+  res.status(204).end();
+});
+
+router.get("/:id/attachments", allow("adjuster"), async (req, res) => {
+  const claim = await loadClaim(req, res);
+  if (!claim) return;
+
+  res.json(
+    (claim.attachments || []).map(a => ({ ...a, url: attachmentUrl(claim.claimId, a) }))
+  );
+});
+
+router.get("/:id/attachments/:attachmentId", allow("adjuster"), async (req, res) => {
+  const claim = await loadClaim(req, res);
+  if (!claim) return;
+
+  const attachment = claim.attachments?.find(a => a.id === req.params.attachmentId);
+  if (!attachment) return res.status(404).json({ error: "Attachment not found." });
+
+  res.download(attachmentPath(attachment), attachment.filename);
+});
+
+// The chat the claim was filed from, every turn of it
+router.get("/:id/transcript", allow("adjuster"), async (req, res) => {
+  const claim = await loadClaim(req, res);
+  if (!claim) return;
+
+  const turns = claim.transcriptId ? await getTranscript(claim.transcriptId) : [];
+  if (!turns.length) return res.status(404).json({ error: "No chat transcript for this claim." });
+  res.json({ transcriptId: claim.transcriptId, turns });
+});
+
+router.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import express from "express";
+import { getNotification, listNotifications } from "../store.js";
+import { retryNotification } from "../outbox.js";
+import { allow } from "../auth.js";
+
+/* =========================
+   NOTIFICATION API
+   /api/notifications — what was sent to policyholders,
+   and the retry queue for what wasn't.
+========================= */
+const router = express.Router();
+router.use(allow("adjuster"));
+
+const STATUSES = ["pending", "sent", "failed"];
+
+router.get("/", async (req, res) => {
+  const { claim, status } = req.query;
+  if (status && !STATUSES.includes(status))
+    return res.status(400).json({ error: `Unknown status: ${status} (expected ${STATUSES.join(", ")})` });
+
+  res.json({ notifications: await listNotifications({ claimId: claim, status }) });
+});
+
+router.get("/:id", async (req, res) => {
+  const notification = await getNotification(Number(req.params.id));
+  if (!notification) return res.status(404).json({ error: "Notification not found." });
+  res.json(notification);
+});
+
+router.post("/:id/retry", async (req, res) => {
+  const result = await retryNotification(Number(req.params.id));
+  if (!result) return res.status(404).json({ error: "Notification not found." });
+  if (result.error) return res.status(409).json({ error: result.error });
+  res.json(result.notification);
+});
+
+router.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
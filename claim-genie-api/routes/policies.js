@@ -0,0 +1,130 @@
+import express from "express";
+import { createPolicy, getPolicy, loadPolicies, updatePolicy } from "../store.js";
+import { policySections } from "../formatters.js";
+import { POLICY_NUMBER, POLICY_STATUSES, validatePolicy } from "../policies.js";
+import { actorName, allow } from "../auth.js";
+
+/* =========================
+   POLICY API
+   Reading policies, and creating, editing and
+   deactivating them in place of hand-editing
+   policies.json. Fields are checked by policies.js.
+   Staff may read policies; only admins change them.
+========================= */
+const router = express.Router();
+
+/* =========================
+   HELPERS
+========================= */
+function stamped(policy, req) {
+  return { ...policy, updatedAt: new Date().toISOString(), updatedBy: actorName(req.user) };
+}
+
+function invalid(res, errors) {
+  res.status(400).json({ error: `Invalid policy: ${errors.join("; ")}`, errors });
+}
+
+function withNumber(policyNumber, policy) {
+  return { policyNumber, ...policy };
+}
+
+/* =========================
+   ROUTES
+========================= */
+// Filters: status (comma-separated), type (matched against policyType)
+router.get("/", allow("agent", "adjuster"), async (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).toLowerCase().split(",") : null;
+  const type = req.query.type ? String(req.query.type).toLowerCase() : null;
+
+  const policies = Object.entries(await loadPolicies())
+    .filter(([, p]) => !statuses || statuses.includes(String(p.policyStatus ?? "Active").toLowerCase()))
+    .filter(([, p]) => !type || String(p.policyType ?? "").toLowerCase().includes(type))
+    .map(([number, p]) => withNumber(number, p));
+
+  res.json({ policies, total: policies.length });
+});
+
+router.get("/:number", allow("agent", "adjuster"), async (req, res) => {
+  const policyNumber = req.params.number.toUpperCase();
+  const policy = await getPolicy(policyNumber);
+  if (!policy) return res.status(404).json({ error: `Policy ${policyNumber} not found.` });
+
+  res.json({ policyNumber, ...policy, sections: policySections(policy) });
+});
+
+router.post("/", allow("admin"), async (req, res) => {
+  const { policyNumber, ...fields } = req.body || {};
+  const number = String(policyNumber ?? "").trim().toUpperCase();
+  if (!POLICY_NUMBER.test(number))
+    return res.status(400).json({ error: "policyNumber must be P followed by at least 3 digits." });
+
+  const { policy, errors } = validatePolicy({}, { policyStatus: "Active", ...fields });
+  if (errors) return invalid(res, errors);
+
+  const saved = stamped({ ...policy, createdAt: new Date().toISOString() }, req);
+  if (!(await createPolicy(number, saved)))
+    return res.status(409).json({ error: `Policy ${number} already exists.` });
+
+  res.status(201).json(withNumber(number, saved));
+});
+
+// A null value removes the field
+router.patch("/:number", allow("admin"), async (req, res) => {
+  const { policyNumber, ...fields } = req.body || {};
+  if (policyNumber !== undefined) return res.status(400).json({ error: "The policy number can't be changed." });
+  if (!Object.keys(fields).length) return res.status(400).json({ error: "No fields to update." });
+
+  const result = await updatePolicy(req.params.number, current => {
+    const { policy, errors } = validatePolicy(current, fields);
+    if (errors) return { error: errors };
+    if (policy.policyStatus === "Active") {
+      delete policy.deactivatedAt;
+      delete policy.deactivationReason;
+    }
+    return { policy: stamped(policy, req) };
+  });
+  if (!result) return res.status(404).json({ error: `Policy ${req.params.number.toUpperCase()} not found.` });
+  if (result.error) return invalid(res, result.error);
+
+  res.json(withNumber(req.params.number.toUpperCase(), result.policy));
+});
+
+/**
+ * Stops new claims on the policy (coverage rejects any status
+ * but Active); claims already filed carry on. PATCH
+ * policyStatus back to Active to undo it.
+ */
+router.post("/:number/deactivate", allow("admin"), async (req, res) => {
+  const status = req.body?.status ?? "Inactive";
+  if (status === "Active" || !POLICY_STATUSES.includes(status))
+    return res.status(400).json({
+      error: `status must be one of: ${POLICY_STATUSES.filter(s => s !== "Active").join(", ")}.`
+    });
+
+  const result = await updatePolicy(req.params.number, current => {
+    if (current.policyStatus && current.policyStatus !== "Active")
+      return { error: `Policy is already ${current.policyStatus}.` };
+    return {
+      policy: stamped(
+        {
+          ...current,
+          policyStatus: status,
+          deactivatedAt: new Date().toISOString(),
+          ...(req.body?.reason ? { deactivationReason: String(req.body.reason).trim() } : {})
+        },
+        req
+      )
+    };
+  });
+  if (!result) return res.status(404).json({ error: `Policy ${req.params.number.toUpperCase()} not found.` });
+  if (result.error) return res.status(409).json({ error: result.error });
+
+  res.json(withNumber(req.params.number.toUpperCase(), result.policy));
+});
+
+router.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+import { listClaims } from "../store.js";
+import { buildFilter } from "../filters.js";
+import { claimsTable, summarizeClaims, summaryTables } from "../reports.js";
+import { toCsv, toXlsx } from "../spreadsheet.js";
+import { allow } from "../auth.js";
+
+/* =========================
+   REPORTS API
+   /api/reports — totals and exports for management.
+   Takes the same filters as GET /api/claims.
+========================= */
+const router = express.Router();
+router.use(allow("adjuster"));
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/* =========================
+   HELPERS
+========================= */
+async function filteredClaims(req, res) {
+  const { filter, error } = buildFilter(req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  return (await listClaims()).filter(filter);
+}
+
+function download(res, extension, type, body) {
+  const day = new Date().toISOString().slice(0, 10);
+  res.set("Content-Type", type);
+  res.set("Content-Disposition", `attachment; filename="claims-${day}.${extension}"`);
+  res.send(body);
+}
+
+/* =========================
+   ROUTES
+========================= */
+router.get("/summary", async (req, res) => {
+  const claims = await filteredClaims(req, res);
+  if (claims) res.json(summarizeClaims(claims));
+});
+
+router.get("/claims.csv", async (req, res) => {
+  const claims = await filteredClaims(req, res);
+  if (claims) download(res, "csv", "text/csv; charset=utf-8", "\uFEFF" + toCsv(claimsTable(claims).rows));
+});
+
+// The claims sheet followed by the summary sheets
+router.get("/claims.xlsx", async (req, res) => {
+  const claims = await filteredClaims(req, res);
+  if (claims) download(res, "xlsx", XLSX_TYPE, toXlsx([claimsTable(claims), ...summaryTables(summarizeClaims(claims))]));
+});
+
+router.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import { getTranscript } from "../store.js";
+import { allow } from "../auth.js";
+
+/* =========================
+   TRANSCRIPT API
+   /api/transcripts — every turn of a chat session.
+   Replaying one needs the chat itself, so
+   POST /:id/replay lives in server.js. Admins only:
+   transcripts hold everything a customer typed.
+========================= */
+const router = express.Router();
+router.use(allow("admin"));
+
+router.get("/:id", async (req, res) => {
+  const turns = await getTranscript(req.params.id);
+  if (!turns.length) return res.status(404).json({ error: "Transcript not found." });
+  res.json({ transcriptId: req.params.id, turns });
+});
+
+router.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
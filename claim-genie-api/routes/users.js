@@ -0,0 +1,73 @@
+import express from "express";
+import { allow, checkUser, hashPassword, publicUser } from "../auth.js";
+import { createUser, getUser, listUsers, updateUser } from "../store.js";
+
+/* =========================
+   STAFF ACCOUNTS API
+   /api/users — admins add agents, adjusters and
+   other admins, change their role or password and
+   deactivate them. Any change but a new name signs
+   the user out.
+========================= */
+const router = express.Router();
+router.use(allow("admin"));
+
+function invalid(res, errors) {
+  res.status(400).json({ error: `Invalid user: ${errors.join("; ")}`, errors });
+}
+
+function withStatus(user) {
+  return { ...publicUser(user), active: user.active, createdAt: user.createdAt };
+}
+
+router.get("/", async (req, res) => {
+  res.json({ users: (await listUsers()).map(withStatus) });
+});
+
+router.post("/", async (req, res) => {
+  const { username, name, role, password } = req.body || {};
+  const errors = checkUser({ username, name, role, password }, { creating: true });
+  if (errors.length) return invalid(res, errors);
+
+  const created = await createUser({
+    username: username.toLowerCase(),
+    name: name.trim(),
+    role,
+    passwordHash: await hashPassword(password)
+  });
+  if (!created) return res.status(409).json({ error: `User ${username} already exists.` });
+
+  res.status(201).json(withStatus(await getUser(username)));
+});
+
+router.patch("/:username", async (req, res) => {
+  const { name, role, password, active, ...rest } = req.body || {};
+  const unknown = Object.keys(rest);
+  if (unknown.length) return invalid(res, unknown.map(f => `${f}: unknown field`));
+
+  const errors = checkUser({ name, role, password });
+  if (active !== undefined && typeof active !== "boolean") errors.push("active must be true or false");
+  if (errors.length) return invalid(res, errors);
+
+  // An admin can't lock themselves out
+  const self = req.params.username.toLowerCase() === req.user.username.toLowerCase();
+  if (self && (active === false || (role && role !== "admin")))
+    return res.status(409).json({ error: "You can't deactivate yourself or give up your own admin role." });
+
+  const user = await updateUser(req.params.username, {
+    name: name?.trim(),
+    role,
+    active,
+    passwordHash: password === undefined ? undefined : await hashPassword(password)
+  });
+  if (!user) return res.status(404).json({ error: `User ${req.params.username} not found.` });
+
+  res.json(withStatus(user));
+});
+
+router.use((err, req, res, next) => {
+  console.error(err);
+  res.status(500).json({ error: "Server error" });
+});
+
+export default router;
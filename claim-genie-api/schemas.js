@@ -0,0 +1,174 @@
+/* =========================
+   CLAIM SCHEMAS
+   One per line of business, picked from the policy's
+   policyType. Shared keys (incident_date, claim_amount,
+   service_provider, claim_type) mean the same thing in
+   every schema so coverage rules, filters and sorting
+   work across them; only their labels change.
+
+   fields    key → label, in display order
+   required  keys that must be filled before review
+   dates     keys normalized to YYYY-MM-DD, never in the future
+             unless also listed in futureDates
+   choices   key → allowed values; "cashless claim" matches Cashless
+   checks    (data) → { field, key } | null, run once dates are clean;
+             key names the message in the locales/ catalogs
+   hint      extra context for the model extracting fields
+   example   sample message shown when a claim is started
+========================= */
+function dateOrder(earlier, later, field, key) {
+  return data => (data[earlier] && data[later] && data[later] < data[earlier] ? { field, key } : null);
+}
+
+export const SCHEMAS = {
+  motor: {
+    type: "motor",
+    title: "Motor",
+    match: /motor|car|bike|two[\s-]?wheeler|vehicle/i,
+    fields: {
+      claimant_name: "Claimant Name",
+      policy_number: "Policy Number",
+      claim_type: "Claim Type",
+      incident_date: "Incident Date",
+      incident_location: "Incident Location",
+      claim_amount: "Claim Amount",
+      service_provider: "Service Provider",
+      description_of_loss: "Description of Loss"
+    },
+    required: [
+      "claimant_name",
+      "policy_number",
+      "claim_type",
+      "incident_date",
+      "incident_location",
+      "claim_amount",
+      "service_provider",
+      "description_of_loss"
+    ],
+    dates: ["incident_date"],
+    choices: {},
+    checks: [],
+    hint: "A vehicle accident, theft or damage claim. Service Provider is the garage or workshop.",
+    example:
+      "Incident Date: 2025-10-20\nIncident Location: Kondapur\nClaim Type: Bike Accident\nClaim Amount: 5000\nService Provider: TATA Motors\nDescription of Loss: Headlight damage"
+  },
+
+  health: {
+    type: "health",
+    title: "Health",
+    match: /health|medical|mediclaim/i,
+    fields: {
+      claimant_name: "Claimant Name",
+      policy_number: "Policy Number",
+      patient_name: "Patient Name",
+      service_provider: "Hospital Name",
+      incident_date: "Admission Date",
+      discharge_date: "Discharge Date",
+      diagnosis: "Diagnosis",
+      claim_mode: "Cashless or Reimbursement",
+      claim_amount: "Claim Amount"
+    },
+    required: [
+      "claimant_name",
+      "policy_number",
+      "patient_name",
+      "service_provider",
+      "incident_date",
+      "discharge_date",
+      "diagnosis",
+      "claim_mode",
+      "claim_amount"
+    ],
+    dates: ["incident_date", "discharge_date"],
+    choices: { claim_mode: ["Cashless", "Reimbursement"] },
+    checks: [
+      dateOrder("incident_date", "discharge_date", "discharge_date", "validation.discharge_before_admission")
+    ],
+    hint:
+      "A hospitalisation claim. Admission Date maps to incident_date and the hospital to service_provider. claim_mode is Cashless or Reimbursement.",
+    example:
+      "Patient Name: Peter\nHospital Name: Apollo\nAdmission Date: 2025-10-20\nDischarge Date: 2025-10-23\nDiagnosis: Dengue fever\nCashless or Reimbursement: Reimbursement\nClaim Amount: 45000"
+  },
+
+  home: {
+    type: "home",
+    title: "Home",
+    match: /home|house|property|dwelling/i,
+    fields: {
+      claimant_name: "Claimant Name",
+      policy_number: "Policy Number",
+      claim_type: "Type of Loss",
+      incident_date: "Incident Date",
+      incident_location: "Property Address",
+      claim_amount: "Claim Amount",
+      service_provider: "Contractor / Assessor",
+      description_of_loss: "Description of Loss"
+    },
+    required: [
+      "claimant_name",
+      "policy_number",
+      "claim_type",
+      "incident_date",
+      "incident_location",
+      "claim_amount",
+      "description_of_loss"
+    ],
+    dates: ["incident_date"],
+    choices: {},
+    checks: [],
+    hint: "A home or contents claim such as fire, flood, theft or burglary. Type of Loss maps to claim_type.",
+    example:
+      "Type of Loss: Water damage\nIncident Date: 2025-10-20\nProperty Address: 12 Lake View, Kondapur\nClaim Amount: 60000\nDescription of Loss: Pipe burst, kitchen cabinets ruined"
+  },
+
+  travel: {
+    type: "travel",
+    title: "Travel",
+    match: /travel|trip/i,
+    fields: {
+      claimant_name: "Claimant Name",
+      policy_number: "Policy Number",
+      claim_type: "Claim Type",
+      trip_start: "Trip Start Date",
+      trip_end: "Trip End Date",
+      incident_date: "Incident Date",
+      incident_location: "City / Country",
+      claim_amount: "Claim Amount",
+      service_provider: "Airline / Hospital / Provider",
+      description_of_loss: "Description of Loss"
+    },
+    required: [
+      "claimant_name",
+      "policy_number",
+      "claim_type",
+      "trip_start",
+      "trip_end",
+      "incident_date",
+      "incident_location",
+      "claim_amount",
+      "description_of_loss"
+    ],
+    dates: ["trip_start", "trip_end", "incident_date"],
+    futureDates: ["trip_end"],
+    choices: {},
+    checks: [
+      dateOrder("trip_start", "trip_end", "trip_end", "validation.trip_end_before_start"),
+      dateOrder("trip_start", "incident_date", "incident_date", "validation.incident_outside_trip"),
+      dateOrder("incident_date", "trip_end", "incident_date", "validation.incident_outside_trip")
+    ],
+    hint: "A travel claim such as medical emergency abroad, lost baggage, flight delay or trip cancellation.",
+    example:
+      "Claim Type: Lost baggage\nTrip Start Date: 2025-10-01\nTrip End Date: 2025-10-10\nIncident Date: 2025-10-03\nCity / Country: Paris, France\nClaim Amount: 30000\nDescription of Loss: Checked bag never arrived"
+  }
+};
+
+export const DEFAULT_SCHEMA = "motor";
+
+export function getSchema(type) {
+  return SCHEMAS[type] ?? SCHEMAS[DEFAULT_SCHEMA];
+}
+
+export function schemaFor(policy) {
+  const type = policy?.policyType || "";
+  return Object.values(SCHEMAS).find(s => s.match.test(type)) ?? SCHEMAS[DEFAULT_SCHEMA];
+}
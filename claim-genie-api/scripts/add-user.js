@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import crypto from "crypto";
+import { checkUser, hashPassword } from "../auth.js";
+import { createUser, getUser, updateUser } from "../store.js";
+
+/* =========================
+   STAFF ACCOUNTS
+   npm run user:add -- <username> <role> "<name>"
+   npm run user:add -- --reset <username>
+   Adds a staff account, e.g. the first admin, who can
+   then add the rest through /api/users, or gives an
+   existing one a new password. The password comes
+   from USER_PASSWORD, or one is generated and printed.
+========================= */
+const args = process.argv.slice(2);
+const reset = args.includes("--reset");
+const [username, role, ...nameParts] = args.filter(a => a !== "--reset");
+const name = nameParts.join(" ") || username;
+const generated = !process.env.USER_PASSWORD;
+const password = process.env.USER_PASSWORD || crypto.randomBytes(12).toString("base64url");
+
+const existing = username ? await getUser(username) : null;
+let errors = reset ? checkUser({ password }) : checkUser({ username, name, role, password }, { creating: true });
+if (reset && !existing) errors = [`there is no user ${username ?? ""}`.trim()];
+if (!reset && existing) errors = [`${existing.username} already exists; use --reset to give them a new password`];
+if (errors.length) {
+  console.error(`❌ ${errors.join("; ")}`);
+  console.error('Usage: npm run user:add -- <username> <agent|adjuster|admin> "<name>"');
+  console.error("       npm run user:add -- --reset <username>");
+  process.exit(1);
+}
+
+const passwordHash = await hashPassword(password);
+if (reset) await updateUser(existing.username, { passwordHash, active: true });
+else await createUser({ username: username.toLowerCase(), name, role, passwordHash });
+
+console.log(reset ? `✅ Reset the password of ${existing.username}` : `✅ Added ${role} ${username.toLowerCase()}`);
+if (generated) console.log(`🔑 Password: ${password}`);
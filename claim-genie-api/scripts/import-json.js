@@ -0,0 +1,20 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import path from "path";
+import { getDatabase, importJson, SEED_CLAIMS_FILE, SEED_POLICIES_FILE } from "../db.js";
+
+/* =========================
+   JSON IMPORT
+   npm run db:import -- [--replace] [claims.json] [policies.json]
+   Loads claims and policies from JSON files into the database.
+   Without --replace, records that already exist are skipped.
+========================= */
+const args = process.argv.slice(2);
+const replace = args.includes("--replace");
+const [claimsFile = SEED_CLAIMS_FILE, policiesFile = SEED_POLICIES_FILE] = args
+  .filter(a => a !== "--replace")
+  .map(f => path.resolve(f));
+
+const counts = importJson(getDatabase(), { claimsFile, policiesFile, replace });
+console.log(`✅ Imported ${counts.claims} claim(s) and ${counts.policies} policies`);
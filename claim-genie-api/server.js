@@ -1,503 +1,1092 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+import crypto from "crypto";
 import express from "express";
 import cors from "cors";
-import OpenAI from "openai";
-import fs from "fs/promises";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getProvider } from "./providers/index.js";
+import { parseCorrections } from "./providers/rules.js";
+import { getSessionStore, generateSessionId } from "./sessions/index.js";
+import {
+  acceptsFollowUps,
+  addFollowUp,
+  allowedTransitions,
+  amendableFields,
+  appendHistory,
+  customerPendingWith,
+  formatTimeline,
+  transitionClaim
+} from "./workflow.js";
+import { applyAmendment, checkAmendment } from "./amendments.js";
+import {
+  getPolicy,
+  createClaim,
+  updateClaim,
+  getClaimById,
+  getClaimsByPolicy
+} from "./store.js";
+import { validateClaim } from "./validation.js";
+import { getSchema, schemaFor } from "./schemas.js";
+import { capitalize, claimCard, formatClaimSummary, formatPolicyDetails } from "./formatters.js";
+import { checkPolicy, findingText, formatEligibility, rupees } from "./coverage.js";
+import { scoreClaim } from "./fraud.js";
+import { calculateSettlement, formatSettlement, settledAmount } from "./settlement.js";
+import {
+  attachmentPath,
+  receiveFile,
+  toAttachment,
+  discardFile,
+  removeAttachmentFiles,
+  formatAttachments,
+  formatSize
+} from "./attachments.js";
+import { issueCode, checkCode } from "./verification.js";
+import { actorName, allow, authenticate } from "./auth.js";
+import { readDocument, amountMismatch, mismatchText, formatExtracted } from "./documents.js";
+import { openStream } from "./streaming.js";
+import { claimActions, menuActions, toPayload } from "./replies.js";
+import { detectIntent } from "./intents.js";
+import {
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  fieldLabels,
+  localizeExample,
+  normalizeInput,
+  resolveLanguage,
+  statusName,
+  t,
+  teamName
+} from "./i18n.js";
+import { startNotifications } from "./notifications.js";
+import { chatHistory, recordTurn, replayTranscript } from "./transcripts.js";
+import claimsRouter from "./routes/claims.js";
+import policiesRouter from "./routes/policies.js";
+import notificationsRouter from "./routes/notifications.js";
+import transcriptsRouter from "./routes/transcripts.js";
+import reportsRouter from "./routes/reports.js";
+import authRouter from "./routes/auth.js";
+import usersRouter from "./routes/users.js";
 
 /* =========================
    BASIC SETUP
+   Browsers may only call the API from CORS_ORIGINS
+   (comma-separated, or * for any).
 ========================= */
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const POLICIES_FILE = path.join(__dirname, "policies.json");
-const CLAIMS_FILE = path.join(__dirname, "claims.json");
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:3000").split(",").map(o => o.trim());
 
 const app = express();
-app.use(cors());
-app.use(express.json());
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-/* =========================
-   CONSTANTS
-========================= */
-const FIELD_LABELS = {
-  claimant_name: "Claimant Name",
-  policy_number: "Policy Number",
-  claim_type: "Claim Type",
-  incident_date: "Incident Date",
-  incident_location: "Incident Location",
-  claim_amount: "Claim Amount",
-  service_provider: "Service Provider",
-  description_of_loss: "Description of Loss"
-};
-
-const REQUIRED_FIELDS = Object.keys(FIELD_LABELS);
+app.use(cors({
+  origin: CORS_ORIGINS.includes("*") ? true : CORS_ORIGINS,
+  // Lets the UI name downloaded exports and attachments
+  exposedHeaders: ["Content-Disposition"]
+}));
+app.use(express.json({ limit: "2mb" }));
+app.use(authenticate);
+
+const llm = getProvider();
+// Files uploaded to a draft that was never submitted go with the session
+const sessions = getSessionStore({ onExpire: session => removeAttachmentFiles(session.attachments) });
+startNotifications();
 
 /* =========================
-   SESSION STORE
+   SESSIONS
 ========================= */
-const sessions = {};
-
-function newSession() {
+// The language and the acting agent carry over a restart; everything else starts again
+function newSession(language = null, languageChosen = false, agent = null) {
   return {
+    language,
+    languageChosen,
+    agent,
     state: "awaiting_policy_number",
     policyNumber: null,
     userDetails: null,
+    schema: null,
+    verification: null,
     claimData: {},
-    missingFields: []
+    missingFields: [],
+    eligibility: null,
+    attachments: [],
+    claimId: null,
+    prefill: {},
+    pendingExtract: null,
+    resumeState: null,
+    flags: [],
+    submissionKey: null,
+    amendment: null
   };
 }
 
-function getSession(id) {
-  if (!sessions[id]) sessions[id] = newSession();
-  return sessions[id];
+/**
+ * A session belongs to whoever started it: a customer (no
+ * agent), or one signed-in agent filing for policyholders.
+ */
+async function findSession(id, agent) {
+  const session = id ? await sessions.get(id) : null;
+  return session && (session.agent?.username ?? null) === (agent?.username ?? null) ? session : null;
 }
 
-function generateSessionId() {
-  return Math.random().toString(36).slice(2);
+/**
+ * Resolves the caller's session. Unknown or expired IDs, or
+ * another caller's, get a fresh session under a new ID rather
+ * than the one supplied.
+ */
+async function openSession(id, agent = null) {
+  const session = await findSession(id, agent);
+  if (session) return { sessionId: id, session };
+  return { sessionId: generateSessionId(), session: newSession(null, false, agent), expired: Boolean(id) };
 }
 
-/* =========================
-   FILE HELPERS
-========================= */
-async function loadPolicies() {
-  try {
-    return JSON.parse(await fs.readFile(POLICIES_FILE, "utf-8"));
-  } catch {
-    return {};
-  }
+// Starting over also starts a new transcript
+function resetSession(session) {
+  Object.assign(session, newSession(session.language, session.languageChosen, session.agent), { transcriptId: null });
 }
 
-async function loadClaims() {
-  try {
-    const raw = JSON.parse(await fs.readFile(CLAIMS_FILE, "utf-8"));
-    return raw.claims ? raw : { claims: [] };
-  } catch {
-    return { claims: [] };
+/**
+ * A language picked in the UI sticks until the user goes back
+ * to "auto"; otherwise each message that gives its language
+ * away switches the chat to it.
+ */
+function applyLanguage(session, requested, msg) {
+  if (requested === "auto") session.languageChosen = false;
+  else if (resolveLanguage(requested)) {
+    session.language = resolveLanguage(requested);
+    session.languageChosen = true;
   }
+  if (!session.languageChosen) session.language = detectLanguage(msg) ?? session.language;
 }
 
-async function saveClaims(data) {
-  await fs.writeFile(CLAIMS_FILE, JSON.stringify(data, null, 2), "utf-8");
-}
-
-async function generateClaimId() {
-  const data = await loadClaims();
-  return `CLM-${1000 + data.claims.length}`;
+// Reply text in the session's language
+function say(session, key, params) {
+  return t(session.language, key, params);
 }
 
 /* =========================
-   FORMATTERS
+   AI HELPERS
 ========================= */
-function capitalize(text) {
-  if (!text) return "N/A";
-  return text.charAt(0).toUpperCase() + text.slice(1);
-}
-
-function formatClaimSummary(data) {
-  return REQUIRED_FIELDS.map(
-    f => `${FIELD_LABELS[f]}: ${data[f]}`
-  ).join("\n");
-}
-
-function formatPolicyDetails(policy) {
-  let out = "📄 Policy Details\n\n";
-
-  out += "👤 Policy Holder\n";
-  out += `Name: ${policy.name}\n`;
-  if (policy.email) out += `Email: ${policy.email}\n`;
-  if (policy.phoneNumber) out += `Phone: ${policy.phoneNumber}\n`;
-  if (policy.address) out += `Address: ${policy.address}\n`;
-
-  out += "\n📑 Policy Information\n";
-  out += `Policy Type: ${policy.policyType}\n`;
-  if (policy.policyStatus) out += `Policy Status: ${policy.policyStatus}\n`;
-  out += `Valid Till: ${policy.validTill}\n`;
-  if (policy.premium) out += `Premium: ₹${policy.premium}\n`;
-  if (policy.sumInsured) out += `Sum Insured: ₹${policy.sumInsured}\n`;
-
-  if (policy.policyType?.toLowerCase().includes("motor")) {
-    out += "\n🚗 Vehicle Details\n";
-    if (policy.vehicleModel) out += `Model: ${policy.vehicleModel}\n`;
-    if (policy.registrationNumber) out += `Registration Number: ${policy.registrationNumber}\n`;
-    if (policy.engineNumber) out += `Engine Number: ${policy.engineNumber}\n`;
-    if (policy.chassisNumber) out += `Chassis Number: ${policy.chassisNumber}\n`;
-    if (policy.yearOfManufacture) out += `Year of Manufacture: ${policy.yearOfManufacture}\n`;
-    if (policy.fuelType) out += `Fuel Type: ${policy.fuelType}\n`;
-
-    out += "\n🛡 Coverage\n";
-    if (policy.coverage_ownDamage) out += `Own Damage: ${policy.coverage_ownDamage}\n`;
-    if (policy.coverage_thirdParty) out += `Third Party: ${policy.coverage_thirdParty}\n`;
-    if (policy.coverage_personalAccident)
-      out += `Personal Accident: ${policy.coverage_personalAccident}\n`;
-  }
+async function extractClaim(text, schema, defaults = {}) {
+  const parsed = await llm.extractClaim(text, schema.fields, schema.hint);
+
+  return {
+    ...Object.fromEntries(schema.required.map(f => [f, null])),
+    ...(parsed || {}),
+    ...defaults
+  };
+}
 
+async function fillMissing(current, missing, text, schema) {
+  return llm.fillMissing(current, missing, text, schema.fields);
+}
+
+/**
+ * Fields read from uploaded bills only fill what the user left empty.
+ */
+function applyPrefill(data, prefill) {
+  const out = { ...data };
+  for (const [key, value] of Object.entries(prefill)) if (out[key] == null) out[key] = value;
   return out;
 }
 
 /* =========================
-   AI HELPERS
+   MAIN HANDLER
 ========================= */
-function safeParseJSON(msg) {
-  try {
-    return JSON.parse(
-      msg.content.replace(/```json/g, "").replace(/```/g, "").trim()
-    );
-  } catch {
-    return null;
-  }
+// Who did it, for the claim history: the policyholder, or the agent acting for them
+function actor(session) {
+  const holder = session.userDetails.name;
+  return session.agent ? `${actorName(session.agent)} for ${holder}` : `${holder} (Policyholder)`;
 }
 
-async function normalizeDate(raw) {
-  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return { date: raw };
+// Claim schema for the verified policy; motor until one is verified
+function claimSchema(session) {
+  return getSchema(session.schema);
+}
 
-  try {
-    const out = await client.chat.completions.create({
-      model: "gpt-4.1-mini",
-      temperature: 0,
-      messages: [
-        {
-          role: "system",
-          content:
-            "Convert date to ISO (YYYY-MM-DD). If ambiguous return {ambiguous:true}, if invalid return {invalid:true}. Return ONLY JSON."
-        },
-        { role: "user", content: raw }
-      ]
-    });
-    return JSON.parse(out.choices[0].message.content);
-  } catch {
-    return { invalid: true };
+async function submitClaim(session, progress) {
+  progress("saving");
+  const earlier = await getClaimsByPolicy(session.policyNumber);
+  const schema = claimSchema(session).type;
+  const settlement = calculateSettlement({ ...session.claimData, schema }, session.userDetails);
+  const id = await createClaim(
+    {
+      ...session.claimData,
+      schema,
+      language: session.language ?? DEFAULT_LANGUAGE,
+      eligibility: session.eligibility,
+      risk: scoreClaim(session.claimData, session.userDetails, earlier),
+      settlement,
+      attachments: session.attachments,
+      flags: session.flags,
+      transcriptId: session.transcriptId,
+      ...(session.agent && { agent: { username: session.agent.username, name: session.agent.name } })
+    },
+    actor(session),
+    { submissionKey: session.submissionKey }
+  );
+  const files = session.attachments.map(a => a.filename);
+  session.state = "done";
+  session.claimId = id;
+  session.attachments = [];
+  session.prefill = {};
+  session.flags = [];
+  session.submissionKey = null;
+
+  let notes = files.length ? "\n" + say(session, "claim.attached", { files: files.join(", ") }) : "";
+  if (session.eligibility?.warnings.length)
+    notes += `\n\n${formatEligibility(session.eligibility, session.language)}`;
+  if (settlement) notes += `\n\n${formatSettlement(settlement, session.language)}`;
+
+  return {
+    text: say(session, "claim.created", { id }) + notes + "\n\n" + say(session, "chat.next"),
+    card: claimCard(
+      session.claimData,
+      say(session, "claim.card_title", { id }),
+      [],
+      claimSchema(session),
+      session.language
+    )
+  };
+}
+
+/**
+ * Validates the claim being entered, then files it or
+ * asks for whatever is still missing.
+ */
+async function continueClaim(session, progress, notice = "") {
+  progress("validating");
+  const schema = claimSchema(session);
+  const v = await validateClaim(session.claimData, session.userDetails, schema, session.language);
+  session.eligibility = v.eligibility ?? null;
+  if (v.error) {
+    session.missingFields = v.missing;
+    session.state = v.missing.length ? "awaiting_missing" : "done";
+    return notice + v.error;
   }
+
+  if (!v.missing.length) return notice + reviewClaim(session);
+
+  const heading = say(session, session.state === "awaiting_missing" ? "claim.still_missing" : "claim.missing");
+  const labels = fieldLabels(schema, session.language);
+  session.missingFields = v.missing;
+  session.state = "awaiting_missing";
+  return notice + heading + "\n" + v.missing.map(f => `• ${labels[f]}`).join("\n");
 }
 
-async function extractClaim(text, defaults = {}) {
-  const out = await client.chat.completions.create({
-    model: "gpt-4.1-mini",
-    temperature: 0.1,
-    messages: [
-      {
-        role: "system",
-        content: `
-You are an insurance claim data extractor.
-
-Map labels to JSON keys:
-Claimant Name → claimant_name
-Policy Number → policy_number
-Claim Type → claim_type
-Incident Date → incident_date
-Incident Location → incident_location
-Claim Amount → claim_amount
-Service Provider → service_provider
-Description of Loss → description_of_loss
-
-Labels may be inline or multiline.
-Return ONLY valid JSON with ALL keys:
-${JSON.stringify(REQUIRED_FIELDS)}
-`
-      },
-      { role: "user", content: text }
-    ]
+/**
+ * Shows the finished claim for a last check. Nothing is saved
+ * until the user confirms; the submission key makes a retried
+ * confirm return the same claim instead of filing a second one.
+ */
+function reviewClaim(session) {
+  session.state = "review_claim";
+  session.submissionKey ??= crypto.randomUUID();
+
+  const files = session.attachments.map(a => a.filename);
+  const warnings = session.eligibility?.warnings.length
+    ? `\n\n${formatEligibility(session.eligibility, session.language)}`
+    : "";
+
+  return (
+    say(session, "review.heading") + "\n\n" +
+    formatClaimSummary(session.claimData, claimSchema(session), session.language) +
+    (files.length ? "\n" + say(session, "review.attachments", { files: files.join(", ") }) : "") +
+    warnings +
+    "\n\n" + say(session, "review.prompt")
+  );
+}
+
+async function discardDraft(session) {
+  await removeAttachmentFiles(session.attachments);
+  Object.assign(session, {
+    claimData: {},
+    missingFields: [],
+    eligibility: null,
+    attachments: [],
+    prefill: {},
+    flags: [],
+    submissionKey: null,
+    state: "done"
   });
+}
 
-  const parsed = safeParseJSON(out.choices[0].message);
+/**
+ * Compares the amount the user typed with the latest invoice total
+ * and keeps the mismatch flag on the session up to date.
+ */
+function invoiceNotice(session, entered) {
+  session.flags = session.flags.filter(f => f.code !== "invoice_amount_mismatch");
 
-  return {
-    claimant_name: null,
-    policy_number: null,
-    claim_type: null,
-    incident_date: null,
-    incident_location: null,
-    claim_amount: null,
-    service_provider: null,
-    description_of_loss: null,
-    ...(parsed || {}),
-    ...defaults
-  };
+  const doc = [...session.attachments].reverse().find(a => a.extracted?.claim_amount);
+  if (!doc || !entered) return "";
+
+  const flag = amountMismatch(entered, doc.extracted.claim_amount, doc.filename);
+  if (!flag) return "";
+
+  session.flags.push(flag);
+  return `⚠️ ${mismatchText(flag, session.language)}\n\n`;
 }
 
-async function fillMissing(current, missing, text) {
-  const out = await client.chat.completions.create({
-    model: "gpt-4.1-mini",
-    temperature: 0.1,
-    messages: [
-      { role: "system", content: "Fill ONLY missing claim fields. Return FULL JSON." },
-      {
-        role: "user",
-        content: `Current:\n${JSON.stringify(current)}\nMissing:\n${missing}\nUser:\n${text}`
-      }
-    ]
-  });
+// Fields the policyholder may correct while reviewing a claim
+function reviewFields(schema) {
+  return Object.fromEntries(Object.entries(schema.fields).filter(([key]) => key !== "policy_number"));
+}
 
-  const parsed = safeParseJSON(out.choices[0].message);
-  return parsed ? { ...current, ...parsed } : current;
+function claimPrompt(session, opening) {
+  const example = localizeExample(claimSchema(session), session.language);
+  return `${opening}\n\n` + say(session, "claim.prompt", { example });
 }
 
-/* =========================
-   VALIDATION
-========================= */
-async function validateClaim(data) {
-  if (data.incident_date) {
-    const norm = await normalizeDate(data.incident_date);
-    if (norm.ambiguous)
-      return { error: "❓ Incident Date is ambiguous. Please use YYYY-MM-DD.", missing: ["incident_date"] };
-    if (norm.invalid)
-      return { error: "❌ Incident Date is invalid.", missing: ["incident_date"] };
-
-    const d = new Date(norm.date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    if (d > today)
-      return { error: "❌ Incident Date cannot be in the future.", missing: ["incident_date"] };
-
-    data.incident_date = norm.date;
+const RESUME_PROMPTS = {
+  confirm_new_claim: "claim.ask_new",
+  awaiting_claim_details: "claim.ask_details"
+};
+
+/**
+ * Called once the one-time code checks out, or straight away
+ * for an agent. Only now is the policy attached to the session
+ * and its details shown.
+ */
+function policyVerified(session, policyNumber, policy) {
+  session.policyNumber = policyNumber;
+  session.userDetails = policy;
+  session.schema = schemaFor(policy).type;
+  session.verification = null;
+
+  const onBehalf = session.agent && say(session, "verify.on_behalf", { name: policy.name });
+  const eligibility = checkPolicy(policy);
+  if (eligibility.rejections.length) {
+    session.state = "done";
+    const blocked = blockedReply(session, eligibility);
+    return {
+      ...blocked,
+      text:
+        (onBehalf || say(session, "verify.verified_blocked")) + "\n\n" +
+        formatPolicyDetails(policy, session.language) +
+        "\n" + blocked.text +
+        "\n\n" + say(session, "verify.blocked_hint")
+    };
   }
 
-  if (data.claim_amount) {
-    const amt = Number(data.claim_amount);
-    data.claim_amount = isNaN(amt) ? null : amt;
+  session.state = "confirm_new_claim";
+
+  return (
+    (onBehalf || say(session, "verify.verified")) + "\n\n" +
+    formatPolicyDetails(policy, session.language) +
+    "\n" + say(session, "claim.ask_new")
+  );
+}
+
+async function listPolicyClaims(session, progress) {
+  progress("loading");
+  const claims = await getClaimsByPolicy(session.policyNumber);
+  if (!claims.length) return say(session, "claims.none");
+
+  session.state = "awaiting_claim_id";
+  return {
+    text:
+      say(session, "claims.heading") + "\n\n" +
+      claims.map(c =>
+        say(session, "claims.row", {
+          id: c.claimId,
+          type: capitalize(c.claim_type ?? c.diagnosis),
+          status: statusName(session.language, c.claim_status),
+          pendingWith: teamName(session.language, customerPendingWith(c)) ?? "—"
+        })
+      ).join("\n") +
+      "\n\n" + say(session, "claims.pick"),
+    actions: claims.map(c => ({ label: c.claimId, message: c.claimId }))
+  };
+}
+
+async function startVerification(session, policyNumber, progress) {
+  progress("lookup");
+  const policy = await getPolicy(policyNumber);
+  if (!policy) {
+    session.state = "awaiting_policy_number";
+    return say(session, "verify.invalid_policy");
   }
 
-  const missing = REQUIRED_FIELDS.filter(f => !data[f]);
-  return { missing };
+  // Agents are signed-in staff helping a policyholder who isn't at this screen to enter a code
+  if (session.agent) return policyVerified(session, policyNumber, policy);
+
+  progress("sending_code");
+  const sent = await issueCode(policyNumber, policy, session.language);
+  if (sent.error) return sent.error;
+
+  session.verification = sent.challenge;
+  session.state = "awaiting_otp";
+  return say(session, "verify.code_sent", { to: sent.sentTo.join(say(session, "chat.and")) });
 }
 
-/* =========================
-   RETRIEVAL
-========================= */
-async function getClaimById(id) {
-  const data = await loadClaims();
-  return data.claims.find(c => c.claimId.toLowerCase() === id.toLowerCase());
+async function ownClaim(session, claimId) {
+  const claim = await getClaimById(claimId);
+  return claim && claim.policy_number === session.policyNumber ? claim : null;
 }
 
-async function getClaimsByPolicy(policy) {
-  const data = await loadClaims();
-  return data.claims.filter(c => c.policy_number === policy);
+function settlementRow(claim, lang) {
+  const amount = settledAmount(claim.settlement);
+  if (amount === null) return [];
+  const value = claim.settlement.decision
+    ? rupees(amount)
+    : t(lang, "settlement.row_estimate", { amount: rupees(amount) });
+  return [[t(lang, "settlement.row"), value]];
+}
+
+async function showClaim(session, claimId) {
+  const claim = await ownClaim(session, claimId);
+  if (!claim) return say(session, "claims.not_on_policy");
+
+  const lang = session.language;
+  session.claimId = claim.claimId;
+  session.state = "awaiting_claim_id";
+  const files = formatAttachments(claim, lang);
+  const actions = claimActions(session, {
+    amend: amendableFields(claim).length > 0,
+    followUp: acceptsFollowUps(claim),
+    withdraw: allowedTransitions(claim.claim_status).includes("Withdrawn")
+  });
+  return {
+    text:
+      formatTimeline(claim, { lang }) +
+      (files ? `\n\n${files}` : "") +
+      "\n\n" + say(session, "claims.upload_hint"),
+    card: claimCard(
+      claim,
+      say(session, "claims.card_title", { id: claim.claimId }),
+      [
+        [say(session, "claims.status"), statusName(lang, claim.claim_status)],
+        [say(session, "claims.pending_with"), teamName(lang, customerPendingWith(claim)) ?? "—"],
+        ...settlementRow(claim, lang)
+      ],
+      getSchema(claim.schema),
+      lang
+    ),
+    actions
+  };
 }
 
 /* =========================
-   INTENT
+   AMENDMENTS & FOLLOW-UPS
+   A filed claim can be amended within the rules for
+   its status (workflow.json); each change is saved as
+   a new revision. Messages for the team are taken
+   until the claim is closed or withdrawn.
 ========================= */
-function detectIntent(msg) {
-  const t = msg.toLowerCase().trim();
+async function startAmendment(session, claimId) {
+  if (!claimId) return say(session, "amend.which");
+  const claim = await ownClaim(session, claimId);
+  if (!claim) return say(session, "claims.not_on_policy");
+
+  session.claimId = claim.claimId;
+  const fields = amendableFields(claim);
+  const status = statusName(session.language, claim.claim_status);
+  if (!fields.length)
+    return (
+      say(session, "amend.not_allowed", { id: claim.claimId, status }) +
+      (acceptsFollowUps(claim) ? "\n\n" + say(session, "amend.follow_up_hint", { id: claim.claimId }) : "")
+    );
 
-  if (t === "exit") return "EXIT";
-  if (t === "restart") return "RESTART";
-  if (t.includes("retrieve claim")) return "RETRIEVE_CLAIM";
-  if (t.includes("view my claims") || t.includes("all claims")) return "VIEW_POLICY_CLAIMS";
-  if (t.includes("file a new claim") || t === "new claim") return "FILE_NEW_CLAIM";
+  session.amendment = {
+    schema: claim.schema,
+    fields,
+    values: Object.fromEntries(fields.map(f => [f, claim[f] ?? ""])),
+    checked: null
+  };
+  session.state = "amend_claim";
+  const labels = fieldLabels(getSchema(claim.schema), session.language);
+  return say(session, "amend.prompt", {
+    id: claim.claimId,
+    status,
+    fields: fields.map(f => labels[f]).join(", ")
+  });
+}
 
-  return "CONTINUE";
+function endAmendment(session) {
+  session.amendment = null;
+  session.state = "done";
 }
 
-/* =========================
-   MAIN HANDLER
-========================= */
-async function handleMessage(session, msg) {
-  const intent = detectIntent(msg);
+async function proposeAmendment(session, msg) {
+  const { schema: type, fields, values } = session.amendment;
+  const schema = getSchema(type);
+  const parsed = parseCorrections(msg, Object.fromEntries(fields.map(f => [f, schema.fields[f]])));
+  const updates = Object.fromEntries(
+    Object.entries(parsed).filter(([key, value]) => String(values[key] ?? "") !== String(value ?? ""))
+  );
+  if (!Object.keys(updates).length) return say(session, "amend.unclear");
+
+  const claim = await ownClaim(session, session.claimId);
+  if (!claim) return say(session, "claims.not_on_policy");
+  const checked = await checkAmendment(claim, updates, session.userDetails, session.language);
+  if (checked.error) return checked.error + "\n\n" + say(session, "amend.try_again");
+
+  session.amendment.checked = checked;
+  session.state = "confirm_amend";
+  const labels = fieldLabels(schema, session.language);
+  const lines = Object.entries(checked.updates).map(
+    ([key, value]) => `• ${labels[key]}: ${claim[key] ?? "—"} → ${value ?? "—"}`
+  );
+  return say(session, "amend.confirm", { id: claim.claimId, changes: lines.join("\n") });
+}
+
+async function saveAmendment(session) {
+  const { checked } = session.amendment;
+  const others = await getClaimsByPolicy(session.policyNumber);
+  const by = actor(session);
+  let revision;
+
+  const result = await updateClaim(session.claimId, claim => {
+    if (Object.keys(checked.updates).some(k => !amendableFields(claim).includes(k)))
+      return { error: say(session, "amend.no_longer", { id: claim.claimId }) };
+    revision = applyAmendment(claim, checked, { by, source: "chat", policy: session.userDetails, others });
+  });
+  endAmendment(session);
+
+  if (!result) return say(session, "claims.not_on_policy");
+  if (result.error) return result.error;
+  if (!revision) return say(session, "amend.unchanged");
+  return say(session, "amend.done", { id: session.claimId, version: revision.version });
+}
+
+async function startFollowUp(session, claimId) {
+  if (!claimId) return say(session, "follow_up.which");
+  const claim = await ownClaim(session, claimId);
+  if (!claim) return say(session, "claims.not_on_policy");
+
+  session.claimId = claim.claimId;
+  if (!acceptsFollowUps(claim))
+    return say(session, "follow_up.closed", {
+      id: claim.claimId,
+      status: statusName(session.language, claim.claim_status)
+    });
+
+  session.state = "awaiting_follow_up";
+  return say(session, "follow_up.prompt", { id: claim.claimId });
+}
+
+async function sendFollowUp(session, text) {
+  const by = actor(session);
+  const result = await updateClaim(session.claimId, claim => {
+    if (!acceptsFollowUps(claim)) {
+      const status = statusName(session.language, claim.claim_status);
+      return { error: say(session, "follow_up.closed", { id: claim.claimId, status }) };
+    }
+    addFollowUp(claim, { by, text });
+  });
+  session.state = "done";
+
+  if (!result) return say(session, "claims.not_on_policy");
+  if (result.error) return result.error;
+  return say(session, "follow_up.sent", {
+    id: session.claimId,
+    team: teamName(session.language, customerPendingWith(result.claim)) ?? "—"
+  });
+}
+
+const SUPPORT_PHONE = process.env.SUPPORT_PHONE || "1800-123-4567";
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || "claims@claimgenie.example";
+
+function contactDetails(session) {
+  return say(session, "contact.details", { phone: SUPPORT_PHONE, email: SUPPORT_EMAIL });
+}
+
+/**
+ * Gives the policyholder our contact details and, when a claim
+ * is in view, leaves a callback request on it for the team.
+ */
+async function contactAgent(session, claimId) {
+  const id = claimId ?? session.claimId;
+  const claim = session.userDetails && id ? await ownClaim(session, id) : null;
+  if (claim) {
+    await updateClaim(claim.claimId, current =>
+      appendHistory(current, {
+        by: actor(session),
+        action: "callback_requested",
+        note: "Asked to speak to an agent from chat",
+        internal: true
+      })
+    );
+  }
+
+  return (
+    say(session, "contact.intro") + "\n\n" +
+    contactDetails(session) +
+    (claim ? "\n\n" + say(session, "contact.callback", { id: claim.claimId }) : "")
+  );
+}
+
+function helpReply(session) {
+  return (
+    say(session, "help.menu") + "\n\n" +
+    say(session, session.userDetails ? "help.what_next" : "help.enter_policy")
+  );
+}
+
+// Why the policy can't take a claim, without offering to file one
+function blockedReply(session, eligibility) {
+  return {
+    text:
+      say(session, "claim.blocked") + "\n" +
+      eligibility.rejections.map(r => `• ${findingText(r, session.language)}`).join("\n"),
+    actions: menuActions(session, { canFile: false })
+  };
+}
+
+// States in which a claim is still being put together
+const DRAFT_STATES = ["awaiting_claim_details", "awaiting_missing", "confirm_extracted", "review_claim"];
+
+/**
+ * Works out the reply to one chat message. `progress` is told
+ * about each slow step so streaming clients can show it.
+ */
+async function handleMessage(session, msg, progress = () => {}) {
+  const { intent, entities } = await detectIntent(msg, session);
 
   if (intent === "EXIT") {
-    Object.assign(session, newSession());
-    return "👋 Thank you for using ClaimGenie!\nHave a nice day 😊";
+    await discardDraft(session);
+    resetSession(session);
+    return say(session, "chat.goodbye");
   }
 
   if (intent === "RESTART") {
-    Object.assign(session, newSession());
-    return "🔄 Session restarted.\n\nPlease enter your Policy Number.";
+    await discardDraft(session);
+    resetSession(session);
+    return say(session, "chat.restarted");
+  }
+
+  if (intent === "HELP") return helpReply(session);
+
+  if (intent === "CONTACT_AGENT") return contactAgent(session, entities.claimId);
+
+  if (intent === "CANCEL_CLAIM" && DRAFT_STATES.includes(session.state)) {
+    await discardDraft(session);
+    return say(session, "claim.draft_discarded");
+  }
+
+  const needsPolicy = [
+    "FILE_NEW_CLAIM",
+    "RETRIEVE_CLAIM",
+    "VIEW_POLICY_CLAIMS",
+    "CANCEL_CLAIM",
+    "UPDATE_CLAIM",
+    "SEND_MESSAGE"
+  ];
+  if (needsPolicy.includes(intent) && !session.userDetails) {
+    if (entities.policyNumber) return startVerification(session, entities.policyNumber, progress);
+    session.state = "awaiting_policy_number";
+    return say(session, "verify.first");
   }
 
   if (intent === "FILE_NEW_CLAIM") {
+    const eligibility = checkPolicy(session.userDetails);
+    if (eligibility.rejections.length) return blockedReply(session, eligibility);
+
     session.claimData = {};
     session.missingFields = [];
+    session.submissionKey = null;
+    session.claimId = null;
     session.state = "awaiting_claim_details";
 
-    return (
-      "Sure 👍 Let’s file a new claim for your policy.\n\n" +
-      "You may describe the incident or use labelled fields.\n\n" +
-      "📌 Example:\nIncident Date: 2025-10-20\nIncident Location: Kondapur\nClaim Type: Bike Accident\nClaim Amount: 5000\nService Provider: TATA Motors\nDescription of Loss: Headlight damage\n\n" +
-      "Please enter your claim details."
-    );
+    const type = say(session, `schemas.${claimSchema(session).type}`);
+    return claimPrompt(session, say(session, "claim.start_new", { type }));
   }
 
   if (intent === "RETRIEVE_CLAIM") {
+    if (entities.claimId) return showClaim(session, entities.claimId);
     session.state = "awaiting_claim_id";
-    return "Please enter your Claim ID.";
+    return say(session, "claims.ask_id");
   }
 
-  if (intent === "VIEW_POLICY_CLAIMS") {
-    session.state = "awaiting_policy_for_claims";
-    return "Please enter your Policy Number.";
+  if (intent === "VIEW_POLICY_CLAIMS") return listPolicyClaims(session, progress);
+
+  if (intent === "CANCEL_CLAIM") {
+    const claimId = entities.claimId ?? session.claimId;
+    if (!claimId) return say(session, "withdraw.which");
+
+    const claim = await ownClaim(session, claimId);
+    if (!claim) return say(session, "claims.not_on_policy");
+
+    const status = statusName(session.language, claim.claim_status);
+    if (!allowedTransitions(claim.claim_status).includes("Withdrawn"))
+      return say(session, "withdraw.not_allowed", { id: claim.claimId, status });
+
+    session.claimId = claim.claimId;
+    session.state = "confirm_withdraw";
+    return say(session, "withdraw.confirm", { id: claim.claimId, status });
   }
 
-  if (session.state === "awaiting_claim_id") {
-    const claim = await getClaimById(msg);
-    if (!claim) return "❌ Claim not found.";
-    return (
-      "📄 Claim Details:\n\n" +
-      formatClaimSummary(claim) +
-      `\n\nClaim Status: ${claim.claim_status ?? "Filed"}\nPending With: ${claim.pending_with ?? "Claims Verification Team"}`
-    );
+  if (intent === "UPDATE_CLAIM") {
+    if (session.state === "review_claim") return say(session, "review.how_to_change");
+    return startAmendment(session, entities.claimId ?? session.claimId);
+  }
+
+  if (intent === "SEND_MESSAGE") return startFollowUp(session, entities.claimId ?? session.claimId);
+
+  if (session.state === "amend_claim") {
+    if (["cancel", "no"].includes(msg.toLowerCase().trim())) {
+      endAmendment(session);
+      return say(session, "amend.cancelled");
+    }
+    return proposeAmendment(session, msg);
+  }
+
+  if (session.state === "confirm_amend") {
+    const answer = msg.toLowerCase();
+    if (answer.startsWith("n")) {
+      endAmendment(session);
+      return say(session, "amend.cancelled");
+    }
+    if (!answer.startsWith("y")) return say(session, "chat.yes_no");
+    return saveAmendment(session);
   }
 
-  if (session.state === "awaiting_policy_for_claims") {
-    const claims = await getClaimsByPolicy(msg.toUpperCase());
-    if (!claims.length) return "No claims found for this policy.";
+  if (session.state === "awaiting_follow_up") {
+    if (msg.toLowerCase().trim() === "cancel") {
+      session.state = "done";
+      return say(session, "follow_up.cancelled");
+    }
+    return sendFollowUp(session, msg);
+  }
+
+  if (session.state === "confirm_withdraw") {
+    const answer = msg.toLowerCase();
+    if (answer.startsWith("n")) {
+      session.state = "done";
+      return say(session, "withdraw.kept");
+    }
+    if (!answer.startsWith("y")) return say(session, "chat.yes_no");
 
     session.state = "done";
-    return (
-      "📂 Claims for this policy:\n\n" +
-      claims.map(c =>
-        `${c.claimId} | ${capitalize(c.claim_type)} | Claim Status: ${c.claim_status ?? "Filed"} | Pending With: ${c.pending_with ?? "Claims Verification Team"}`
-      ).join("\n") +
-      "\n\n👉 Enter a Claim ID to view details\n👉 Or type restart"
+    const result = await updateClaim(session.claimId, claim =>
+      transitionClaim(claim, "Withdrawn", { by: actor(session), note: "Withdrawn by the policyholder in chat" })
     );
+    if (!result) return say(session, "claims.not_on_policy");
+    if (result.error) return `❌ ${result.error}`;
+    return say(session, "withdraw.done", { id: session.claimId });
   }
 
-  if (session.state === "awaiting_policy_number") {
-    const policies = await loadPolicies();
-    const policy = policies[msg.toUpperCase()];
-    if (!policy) return "❌ Invalid Policy Number.";
+  if (session.state === "confirm_extracted") {
+    const answer = msg.toLowerCase();
+    if (!answer.startsWith("y") && !answer.startsWith("n")) return say(session, "chat.yes_no");
 
-    session.policyNumber = msg.toUpperCase();
-    session.userDetails = policy;
-    session.state = "confirm_new_claim";
+    const { fields } = session.pendingExtract;
+    session.state = session.resumeState;
+    session.pendingExtract = null;
+    session.resumeState = null;
 
-    return (
-      "✅ Policy verified successfully.\n\n" +
-      formatPolicyDetails(policy) +
-      "\nWould you like to file a new claim? (yes/no)"
-    );
+    if (answer.startsWith("n"))
+      return (
+        say(session, "upload.declined") + "\n\n" + say(session, RESUME_PROMPTS[session.state] ?? "claim.ask_missing")
+      );
+
+    session.prefill = { ...session.prefill, ...fields };
+    if (session.state === "awaiting_missing") {
+      session.claimData = applyPrefill(session.claimData, fields);
+      return continueClaim(session, progress, invoiceNotice(session, session.claimData.claim_amount));
+    }
+    return say(session, "upload.accepted") + "\n\n" + say(session, RESUME_PROMPTS[session.state]);
+  }
+
+  if (session.state === "review_claim") {
+    const answer = msg.toLowerCase().trim();
+    if (["confirm", "submit", "yes"].includes(answer)) return submitClaim(session, progress);
+
+    if (["cancel", "discard", "no"].includes(answer)) {
+      await discardDraft(session);
+      return say(session, "review.discarded");
+    }
+
+    const schema = claimSchema(session);
+    const changes = parseCorrections(msg, reviewFields(schema));
+    const keys = Object.keys(changes);
+    if (!keys.length) return say(session, "review.unclear");
+
+    const labels = fieldLabels(schema, session.language);
+    session.claimData = { ...session.claimData, ...changes };
+    const notice =
+      say(session, "review.updated", { fields: keys.map(k => labels[k]).join(", ") }) + "\n\n" +
+      (keys.includes("claim_amount") ? invoiceNotice(session, changes.claim_amount) : "");
+    return continueClaim(session, progress, notice);
+  }
+
+  if (session.state === "done" && session.claimId && ["confirm", "submit"].includes(msg.toLowerCase().trim()))
+    return say(session, "claim.already_submitted", { id: session.claimId });
+
+  // Anything without a number can't be an ID; fall through to help
+  const hasDigits = /\d/.test(msg);
+
+  if (session.state === "awaiting_claim_id" && hasDigits) return showClaim(session, entities.claimId ?? msg);
+
+  if (session.state === "awaiting_policy_number" && hasDigits)
+    return startVerification(session, entities.policyNumber ?? msg.toUpperCase().trim(), progress);
+
+  if (session.state === "awaiting_otp") {
+    const { policyNumber } = session.verification;
+    const policy = await getPolicy(policyNumber);
+
+    if (msg.toLowerCase().trim() === "resend") {
+      progress("sending_code");
+      const sent = await issueCode(policyNumber, policy, session.language);
+      if (sent.error) return sent.error;
+
+      session.verification = sent.challenge;
+      return say(session, "verify.resent", { to: sent.sentTo.join(say(session, "chat.and")) });
+    }
+
+    const result = await checkCode(session.verification, msg, session.language);
+    if (result.locked) {
+      session.verification = null;
+      session.state = "awaiting_policy_number";
+    }
+    if (result.error) return result.error;
+
+    return policyVerified(session, policyNumber, policy);
   }
 
   if (session.state === "confirm_new_claim") {
     if (msg.toLowerCase().startsWith("y")) {
       session.state = "awaiting_claim_details";
-      return (
-        "Great 👍 Let’s file your claim.\n\n" +
-        "You may describe the incident or use labelled fields.\n\n" +
-        "📌 Example:\nClaimant Name: John\nIncident Date: 2025-10-20\nIncident Location: Kondapur\nClaim Type: Bike Accident\nClaim Amount: 5000\nService Provider: TATA Motors\nDescription of Loss: Headlight damage\n\n" +
-        "Please enter your claim details."
-      );
+      return claimPrompt(session, say(session, "claim.start"));
     }
     if (msg.toLowerCase().startsWith("n")) {
       session.state = "done";
-      return "Okay 👍 Type restart anytime to begin again.";
+      return say(session, "chat.declined_new");
     }
-    return "Please reply with yes or no.";
+    return say(session, "chat.yes_no");
   }
 
   if (session.state === "awaiting_claim_details") {
-    session.claimData = await extractClaim(msg, {
+    progress("extracting");
+    const typed = await extractClaim(msg, claimSchema(session), {
       policy_number: session.policyNumber,
       claimant_name: session.userDetails.name
     });
+    session.claimData = applyPrefill(typed, session.prefill);
 
-    const v = await validateClaim(session.claimData);
-    if (v.error) {
-      session.missingFields = v.missing;
-      session.state = "awaiting_missing";
-      return v.error;
-    }
-
-    if (!v.missing.length) {
-      const id = await generateClaimId();
-      const all = await loadClaims();
+    return continueClaim(session, progress, invoiceNotice(session, typed.claim_amount));
+  }
 
-      all.claims.push({
-        claimId: id,
-        ...session.claimData,
-        claim_status: "In Review",
-        pending_with: "Claims Verification Team",
-        createdAt: new Date().toISOString()
-      });
+  if (session.state === "awaiting_missing") {
+    const askedAmount = session.missingFields.includes("claim_amount");
+    progress("extracting");
+    session.claimData = await fillMissing(session.claimData, session.missingFields, msg, claimSchema(session));
+
+    return continueClaim(
+      session,
+      progress,
+      askedAmount ? invoiceNotice(session, session.claimData.claim_amount) : ""
+    );
+  }
 
-      await saveClaims(all);
-      session.state = "done";
+  return say(session, "chat.unknown") + "\n\n" + helpReply(session);
+}
 
-      return (
-        "✅ Claim created successfully!\n\n" +
-        formatClaimSummary(session.claimData) +
-        `\n\n🆔 Claim ID: ${id}\n\n` +
-        "What would you like to do next?\n" +
-        "• Retrieve Claim\n" +
-        "• View My Claims\n" +
-        "• File a New Claim\n" +
-        "• Restart\n" +
-        "• Exit"
-      );
+/**
+ * Attaches an uploaded file to the claim the session is looking at,
+ * or holds it until the claim being entered is filed.
+ */
+async function handleUpload(session, file, claimId) {
+  const targetId = claimId || session.claimId;
+
+  if (targetId) {
+    const claim = await getClaimById(targetId);
+    if (!claim || !session.userDetails || claim.policy_number !== session.policyNumber) {
+      await discardFile(file);
+      return say(session, "upload.not_found");
     }
 
-    session.missingFields = v.missing;
-    session.state = "awaiting_missing";
-    return "Missing fields:\n" + v.missing.map(f => `• ${FIELD_LABELS[f]}`).join("\n");
-  }
+    const by = actor(session);
+    const attachment = toAttachment(file, by);
+    const { fields } = await readDocument(attachment);
+    if (Object.keys(fields).length) attachment.extracted = fields;
 
-  if (session.state === "awaiting_missing") {
-    session.claimData = await fillMissing(session.claimData, session.missingFields, msg);
-    const v = await validateClaim(session.claimData);
-    if (v.error) return v.error;
-
-    if (!v.missing.length) {
-      const id = await generateClaimId();
-      const all = await loadClaims();
-
-      all.claims.push({
-        claimId: id,
-        ...session.claimData,
-        claim_status: "In Review",
-        pending_with: "Claims Verification Team",
-        createdAt: new Date().toISOString()
-      });
-
-      await saveClaims(all);
-      session.state = "done";
+    const flag = amountMismatch(claim.claim_amount, fields.claim_amount, attachment.filename);
+    await updateClaim(claim.claimId, current => {
+      current.attachments = [...(current.attachments || []), attachment];
+      appendHistory(current, { by, action: "attachment_added", note: attachment.filename });
+      if (flag) current.flags = [...(current.flags || []), flag];
+    });
 
-      return (
-        "✅ Claim created successfully!\n\n" +
-        formatClaimSummary(session.claimData) +
-        `\n\n🆔 Claim ID: ${id}\n\n` +
-        "What would you like to do next?\n" +
-        "• Retrieve Claim\n" +
-        "• View My Claims\n" +
-        "• File a New Claim\n" +
-        "• Restart\n" +
-        "• Exit"
-      );
-    }
+    const found = formatExtracted(fields, attachment.filename, getSchema(claim.schema), session.language);
+    const size = formatSize(attachment.size);
+    return (
+      say(session, "upload.added", { filename: attachment.filename, size, id: claim.claimId }) +
+      (found ? `\n\n${found}` : "") +
+      (flag ? "\n\n" + say(session, "upload.flag_review", { message: mismatchText(flag, session.language) }) : "")
+    );
+  }
 
-    session.missingFields = v.missing;
-    return "Still missing:\n" + v.missing.map(f => `• ${FIELD_LABELS[f]}`).join("\n");
+  if (!session.userDetails) {
+    await discardFile(file);
+    return say(session, "upload.policy_first");
   }
 
-  return "Type restart or exit to continue.";
+  const attachment = toAttachment(file, actor(session));
+  const { fields } = await readDocument(attachment);
+  if (Object.keys(fields).length) attachment.extracted = fields;
+  session.attachments.push(attachment);
+
+  const size = formatSize(attachment.size);
+  const received = say(session, "upload.received", { filename: attachment.filename, size });
+  const found = formatExtracted(fields, attachment.filename, claimSchema(session), session.language);
+  const entering = ["confirm_new_claim", "awaiting_claim_details", "awaiting_missing"].includes(session.state);
+  if (!found || !entering) return received + (found ? `\n\n${found}` : "");
+
+  session.pendingExtract = { fields };
+  session.resumeState = session.state;
+  session.state = "confirm_extracted";
+  return `${received}\n\n${found}\n\n` + say(session, "upload.use_details");
 }
 
 /* =========================
-   API ROUTE
+   API ROUTES
+   Each router declares who may call its routes
+   (auth.js). The chat is for customers and for
+   agents filing on a policyholder's behalf.
 ========================= */
-app.post("/api/chat", async (req, res) => {
+app.use("/api/auth", authRouter);
+app.use("/api/users", usersRouter);
+app.use("/api/claims", claimsRouter);
+app.use("/api/policies", policiesRouter);
+app.use("/api/notifications", notificationsRouter);
+app.use("/api/transcripts", transcriptsRouter);
+app.use("/api/reports", reportsRouter);
+
+/**
+ * Messages in any supported language are mapped onto English
+ * commands and field labels before handling; replies come back
+ * in the session's language.
+ */
+async function respond(session, { message, language }, progress) {
+  applyLanguage(session, language, message);
+
+  const step = progress && (name => progress(name, session.language));
+  return toPayload(await handleMessage(session, normalizeInput(message), step), session);
+}
+
+const chatUsers = allow("customer", "agent");
+
+async function chat(body, agent, progress) {
+  const { sessionId, session, expired } = await openSession(body.sessionId, agent);
+  const input = { message: body.message, language: body.language, ...(expired && { expired: true }) };
+
+  const payload = await recordTurn(session, "message", input, async () => {
+    if (!expired) return respond(session, body, progress);
+    applyLanguage(session, body.language, body.message);
+    return toPayload(say(session, "chat.expired"), session);
+  });
+  await sessions.set(sessionId, session);
+  return { sessionId, ...payload };
+}
+
+function serverError(body) {
+  return { reply: t(body?.language, "chat.server_error") };
+}
+
+app.post("/api/chat", chatUsers, async (req, res) => {
+  try {
+    res.json(await chat(req.body, req.user));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json(serverError(req.body));
+  }
+});
+
+app.post("/api/chat/stream", chatUsers, async (req, res) => {
+  const stream = openStream(res);
+  try {
+    const payload = await chat(req.body, req.user, stream.progress);
+    stream.send("done", payload);
+  } catch (err) {
+    console.error(err);
+    stream.send("error", serverError(req.body));
+  }
+  stream.end();
+});
+
+/**
+ * What a still-open session has said so far, so a reloaded page
+ * can show it. The session ID is a secret, hence POST.
+ */
+app.post("/api/chat/history", chatUsers, async (req, res) => {
+  try {
+    const session = await findSession(req.body?.sessionId, req.user);
+    if (!session) return res.status(404).json({ error: "Session not found or expired." });
+
+    res.json({
+      sessionId: req.body.sessionId,
+      language: session.language ?? DEFAULT_LANGUAGE,
+      messages: await chatHistory(session.transcriptId)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json(serverError(req.body));
+  }
+});
+
+/**
+ * Downloads a file on a claim the session may see. Chat replies
+ * carry the adjuster API's path; the UI posts it here instead.
+ */
+app.post("/api/chat/attachment", chatUsers, async (req, res) => {
   try {
-    let { message, sessionId } = req.body;
-    if (!sessionId) sessionId = generateSessionId();
+    const { sessionId, claimId, attachmentId } = req.body || {};
+    const session = await findSession(sessionId, req.user);
+    const claim = session?.userDetails && claimId ? await ownClaim(session, claimId) : null;
+    const attachment = claim?.attachments?.find(a => a.id === attachmentId);
+    if (!attachment) return res.status(404).json({ error: "Attachment not found." });
 
-    const session = getSession(sessionId);
-    const reply = await handleMessage(session, message);
+    res.download(attachmentPath(attachment), attachment.filename);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/chat/upload", chatUsers, async (req, res) => {
+  const { file, status, error } = await receiveFile(req, res);
+  if (error) return res.status(status).json({ sessionId: req.body?.sessionId, reply: error });
+
+  try {
+    const { sessionId, session } = await openSession(req.body.sessionId, req.user);
+    const input = {
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      claimId: req.body.claimId,
+      language: req.body.language
+    };
+    const payload = await recordTurn(session, "upload", input, async () => {
+      applyLanguage(session, req.body.language, "");
+      return toPayload(await handleUpload(session, file, req.body.claimId), session);
+    });
+    await sessions.set(sessionId, session);
 
-    res.json({ sessionId, reply });
+    res.json({ sessionId, ...payload });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ reply: "Server error" });
+    await discardFile(file);
+    res.status(500).json(serverError(req.body));
+  }
+});
+
+/**
+ * Runs a stored transcript through the chat again, against a
+ * copy of the database, and reports where the replies differ
+ * from the recorded ones.
+ */
+app.post("/api/transcripts/:id/replay", allow("admin"), async (req, res) => {
+  try {
+    const replay = await replayTranscript(req.params.id, respond);
+    if (!replay) return res.status(404).json({ error: "Transcript not found." });
+    res.json(replay);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () =>
-  console.log(`🚀 ClaimGenie backend running on port ${PORT}`)
-);
+app.listen(PORT, () => {
+  console.log(`🚀 ClaimGenie backend running on port ${PORT}`);
+  console.log(`🧠 LLM provider: ${llm.name}${llm.model ? ` (${llm.model})` : ""}`);
+  console.log(`💾 Session store: ${sessions.name}`);
+});
@@ -0,0 +1,74 @@
+import fs from "fs/promises";
+
+/* =========================
+   FILE SESSION STORE
+   Keeps sessions in a JSON file so a chat
+   survives restarts and deploys.
+========================= */
+export function createFileStore({ ttlMs, file, onExpire = async () => {} }) {
+  let entries = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (entries) return entries;
+    try {
+      entries = JSON.parse(await fs.readFile(file, "utf-8"));
+    } catch {
+      entries = {};
+    }
+    return entries;
+  }
+
+  // Writes are chained so two requests never interleave,
+  // and go through a temp file so a crash can't truncate it.
+  function persist() {
+    const snapshot = JSON.stringify(entries);
+    writing = writing
+      .then(async () => {
+        await fs.writeFile(`${file}.tmp`, snapshot, "utf-8");
+        await fs.rename(`${file}.tmp`, file);
+      })
+      .catch(err => console.error(`⚠️ Could not save sessions: ${err.message}`));
+    return writing;
+  }
+
+  async function get(id) {
+    const all = await load();
+    const entry = all[id];
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      delete all[id];
+      await persist();
+      await onExpire(entry.session);
+      return null;
+    }
+    return entry.session;
+  }
+
+  async function set(id, session) {
+    const all = await load();
+    all[id] = { session, expiresAt: Date.now() + ttlMs };
+    await persist();
+  }
+
+  async function remove(id) {
+    const all = await load();
+    delete all[id];
+    await persist();
+  }
+
+  async function cleanup() {
+    const all = await load();
+    const now = Date.now();
+    const expired = Object.keys(all).filter(id => all[id].expiresAt <= now);
+    if (!expired.length) return 0;
+
+    const dropped = expired.map(id => all[id].session);
+    expired.forEach(id => delete all[id]);
+    await persist();
+    for (const session of dropped) await onExpire(session);
+    return expired.length;
+  }
+
+  return { name: "file", get, set, remove, cleanup };
+}
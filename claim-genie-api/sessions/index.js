@@ -0,0 +1,53 @@
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createMemoryStore } from "./memory.js";
+import { createFileStore } from "./file.js";
+
+/* =========================
+   SESSION STORE SELECTION
+   SESSION_STORE = file | memory
+   Every store exposes get / set / remove / cleanup.
+   A session expires SESSION_TTL_MINUTES after its last message;
+   onExpire is then given it, so the caller can clear up
+   whatever the session left behind.
+========================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_TTL_MINUTES = 60;
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+export function createSessionStore(env = process.env, { onExpire } = {}) {
+  const name = (env.SESSION_STORE || "file").toLowerCase();
+  const ttlMs = (Number(env.SESSION_TTL_MINUTES) || DEFAULT_TTL_MINUTES) * 60 * 1000;
+
+  switch (name) {
+    case "memory":
+      return createMemoryStore({ ttlMs, onExpire });
+    case "file":
+      return createFileStore({
+        ttlMs,
+        onExpire,
+        file: env.SESSION_FILE || path.join(__dirname, "..", "sessions.json")
+      });
+    default:
+      throw new Error(`Unknown SESSION_STORE "${name}" (expected file or memory)`);
+  }
+}
+
+let current;
+
+export function getSessionStore(options) {
+  if (!current) {
+    current = createSessionStore(process.env, options);
+    setInterval(async () => {
+      const removed = await current.cleanup();
+      if (removed) console.log(`🧹 Removed ${removed} expired session(s)`);
+    }, CLEANUP_INTERVAL_MS).unref();
+  }
+  return current;
+}
+
+export function generateSessionId() {
+  return crypto.randomBytes(24).toString("base64url");
+}
@@ -0,0 +1,41 @@
+/* =========================
+   IN-MEMORY SESSION STORE
+   Lost on restart; handy for local runs.
+========================= */
+export function createMemoryStore({ ttlMs, onExpire = async () => {} }) {
+  const entries = new Map();
+
+  async function get(id) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(id);
+      await onExpire(entry.session);
+      return null;
+    }
+    return entry.session;
+  }
+
+  async function set(id, session) {
+    entries.set(id, { session, expiresAt: Date.now() + ttlMs });
+  }
+
+  async function remove(id) {
+    entries.delete(id);
+  }
+
+  async function cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(id);
+        await onExpire(entry.session);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { name: "memory", get, set, remove, cleanup };
+}
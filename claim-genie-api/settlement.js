@@ -0,0 +1,279 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseDate } from "./providers/rules.js";
+import { coverOf, rupees, toNumber } from "./coverage.js";
+import { appendHistory } from "./workflow.js";
+import { getSchema } from "./schemas.js";
+import { t } from "./i18n.js";
+
+/* =========================
+   SETTLEMENT
+   What the insurer would pay on a claim. Rates, the
+   deductible, sub-limits and co-pay live in
+   settlement.json; a policy may set its own
+   `deductible` or `coPay`. Motor claims are itemized by
+   part: the parts named in the description share the
+   claimed amount until an adjuster enters the assessed
+   items. The estimate is stored on the claim as
+   `settlement`; an adjuster approves or overrides it.
+========================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SETTLEMENT_FILE = path.join(__dirname, "settlement.json");
+
+export const SETTLEMENT = JSON.parse(readFileSync(SETTLEMENT_FILE, "utf-8"));
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/* =========================
+   HELPERS
+========================= */
+function matches(pattern, text) {
+  return new RegExp(`\\b(${pattern})\\b`, "i").test(text);
+}
+
+function policyValue(policy, key, fallback) {
+  return toNumber(policy?.[key]) ?? fallback;
+}
+
+// Splits `total` into `n` whole-rupee shares that add up to it
+function shares(total, n) {
+  const share = Math.floor(total / n);
+  return Array.from({ length: n }, (_, i) => (i === n - 1 ? total - share * (n - 1) : share));
+}
+
+function vehicleAge(claim, policy) {
+  const year = toNumber(policy?.yearOfManufacture);
+  const incident = parseDate(claim.incident_date).date;
+  if (!year || !incident) return null;
+  return Math.max(0, (new Date(incident) - new Date(`${year}-01-01`)) / YEAR_MS);
+}
+
+function depreciationRate(material, age) {
+  const { materials, metalByAge } = SETTLEMENT.motor;
+  const rate = materials[material] ?? materials.metal;
+  if (rate !== "age") return rate;
+  if (age === null) return metalByAge[metalByAge.length - 1].rate;
+  return metalByAge.find(band => band.maxYears === undefined || age <= band.maxYears).rate;
+}
+
+/* =========================
+   CALCULATORS
+   Each returns { items?, deductions, vehicleAge? } for a
+   claimed amount; deductions are { key, amount, ... }.
+========================= */
+function estimateParts(claim) {
+  const { parts, otherPart } = SETTLEMENT.motor;
+  const text = `${claim.claim_type || ""} ${claim.description_of_loss || ""}`;
+  const named = parts.filter(p => matches(p.match, text));
+  return named.length ? named : [otherPart];
+}
+
+function motorSettlement(claim, policy, claimed, assessed) {
+  const { category, covered } = coverOf(claim, policy);
+  if (covered === false) return { deductions: [{ key: "not_covered", category, amount: claimed }] };
+
+  // Third-party and personal accident payouts are not for repairs
+  if (category && category !== "own_damage") return { deductions: [] };
+
+  const age = vehicleAge(claim, policy);
+  const parts = assessed ?? estimateParts(claim).map(p => ({ key: p.key, material: p.material }));
+  const amounts = assessed ? assessed.map(i => i.amount) : shares(claimed, parts.length);
+
+  const items = parts.map((p, i) => {
+    const rate = depreciationRate(p.material, age);
+    const amount = amounts[i];
+    return { ...p, amount, rate, depreciation: Math.round((amount * rate) / 100) };
+  });
+
+  const depreciation = items.reduce((sum, i) => sum + i.depreciation, 0);
+  const deductible = policyValue(policy, "deductible", SETTLEMENT.motor.deductible);
+  return {
+    items,
+    vehicleAge: age === null ? null : Math.round(age * 10) / 10,
+    deductions: [
+      ...(depreciation ? [{ key: "depreciation", amount: depreciation }] : []),
+      ...(deductible ? [{ key: "deductible", amount: deductible }] : [])
+    ]
+  };
+}
+
+function healthSettlement(claim, policy, claimed) {
+  const { category, covered } = coverOf(claim, policy);
+  if (covered === false) return { deductions: [{ key: "not_covered", category, amount: claimed }] };
+
+  const deductions = [];
+  let admissible = claimed;
+
+  const text = `${claim.diagnosis || ""} ${claim.claim_type || ""}`;
+  const subLimit = SETTLEMENT.health.subLimits.find(s => matches(s.match, text));
+  if (subLimit && admissible > subLimit.limit) {
+    deductions.push({ key: "sub_limit", name: subLimit.key, limit: subLimit.limit, amount: admissible - subLimit.limit });
+    admissible = subLimit.limit;
+  }
+
+  const coPay = policyValue(policy, "coPay", SETTLEMENT.health.coPay);
+  if (coPay) deductions.push({ key: "co_pay", rate: coPay, amount: Math.round((admissible * coPay) / 100) });
+
+  return { deductions };
+}
+
+const CALCULATORS = { motor: motorSettlement, health: healthSettlement };
+
+/* =========================
+   ENGINE
+========================= */
+/**
+ * Itemized estimate of what the policy pays on `claim`, or null
+ * for claims without an amount or of a kind with no calculator.
+ * `items` ([{ part, material, amount }]) replaces the motor
+ * estimate by part with an adjuster's assessment.
+ */
+export function calculateSettlement(claim, policy, { items } = {}) {
+  const kind = getSchema(claim.schema).type;
+  const calculate = CALCULATORS[kind];
+  const claimed = toNumber(claim.claim_amount);
+  if (!calculate || claimed === null) return null;
+
+  const assessed = kind === "motor" && items?.length ? items : null;
+  const result = calculate(claim, policy, claimed, assessed);
+  const deductions = [...result.deductions];
+
+  const gross = assessed ? assessed.reduce((sum, i) => sum + i.amount, 0) : claimed;
+  let payable = Math.max(0, gross - deductions.reduce((sum, d) => sum + d.amount, 0));
+
+  const limit = toNumber(policy?.sumInsured);
+  if (limit !== null && payable > limit) {
+    deductions.push({ key: "sum_insured", limit, amount: payable - limit });
+    payable = limit;
+  }
+
+  return {
+    basis: assessed ? "assessed" : "estimate",
+    claimed,
+    ...(result.items ? { items: result.items } : {}),
+    ...(result.vehicleAge !== undefined ? { vehicleAge: result.vehicleAge } : {}),
+    deductions,
+    payable,
+    calculatedAt: new Date().toISOString(),
+    decision: null
+  };
+}
+
+/**
+ * Checks assessed items from an adjuster. Returns them with
+ * numeric amounts, or { error }.
+ */
+export function parseItems(items) {
+  if (!Array.isArray(items) || !items.length) return { error: "items must be a non-empty list." };
+
+  const { materials } = SETTLEMENT.motor;
+  const parsed = [];
+  for (const item of items) {
+    const part = String(item?.part ?? "").trim();
+    const amount = toNumber(item?.amount);
+    const material = item?.material ?? "metal";
+    if (!part || amount === null || amount < 0)
+      return { error: "Each item needs a part and an amount of 0 or more." };
+    if (!(material in materials))
+      return { error: `Unknown material "${material}". Use one of: ${Object.keys(materials).join(", ")}.` };
+    parsed.push({ part, material, amount });
+  }
+  return { items: parsed };
+}
+
+/**
+ * Calculates the claim's settlement again inside updateClaim,
+ * keeping any items an adjuster assessed. A decision on the old
+ * figures no longer stands.
+ */
+export function recalculateSettlement(claim, policy, { by, items } = {}) {
+  const assessed = items ?? (claim.settlement?.basis === "assessed" ? claim.settlement.items : undefined);
+  const from = claim.settlement?.payable ?? null;
+
+  claim.settlement = calculateSettlement(claim, policy, { items: assessed });
+  if (by)
+    appendHistory(claim, {
+      by,
+      action: "settlement_calculated",
+      changes: { payable: { from, to: claim.settlement?.payable ?? null } },
+      internal: true
+    });
+  return claim.settlement;
+}
+
+/**
+ * Records an adjuster's decision: approval of the calculated
+ * amount, or an override when `amount` is given.
+ */
+export function decideSettlement(claim, { amount, by, note }) {
+  if (!claim.settlement) return { error: `Claim ${claim.claimId} has no settlement to decide on.` };
+
+  const overridden = amount !== undefined && amount !== null;
+  const value = overridden ? toNumber(amount) : claim.settlement.payable;
+  if (value === null || value < 0) return { error: "amount must be a number of 0 or more." };
+
+  claim.settlement.decision = {
+    status: overridden ? "overridden" : "approved",
+    amount: value,
+    by,
+    at: new Date().toISOString(),
+    ...(note ? { note } : {})
+  };
+  appendHistory(claim, {
+    by,
+    action: overridden ? "settlement_overridden" : "settlement_approved",
+    changes: { settlement: { from: claim.settlement.payable, to: value } },
+    ...(note ? { note } : {}),
+    internal: true
+  });
+  return claim.settlement.decision;
+}
+
+export function settledAmount(settlement) {
+  return settlement?.decision?.amount ?? settlement?.payable ?? null;
+}
+
+/* =========================
+   CHAT
+========================= */
+function itemName(item, lang) {
+  return item.key ? t(lang, `settlement.parts.${item.key}`) : item.part;
+}
+
+function deductionLine(d, lang) {
+  const params = {
+    amount: rupees(d.amount),
+    rate: d.rate,
+    limit: d.limit && rupees(d.limit),
+    name: d.name && t(lang, `settlement.sub_limits.${d.name}`),
+    cover: d.category && t(lang, `coverage.covers.${d.category}`)
+  };
+  return `• ${t(lang, `settlement.${d.key}`, params)}`;
+}
+
+/**
+ * The itemized estimate as a chat reply in `lang`.
+ */
+export function formatSettlement(settlement, lang) {
+  const lines = [t(lang, "settlement.heading"), t(lang, "settlement.claimed", { amount: rupees(settlement.claimed) })];
+
+  for (const item of settlement.items || [])
+    lines.push(
+      `• ${t(lang, item.rate ? "settlement.item" : "settlement.item_whole", {
+        part: itemName(item, lang),
+        amount: rupees(item.amount),
+        rate: item.rate,
+        depreciation: rupees(item.depreciation)
+      })}`
+    );
+  lines.push(...settlement.deductions.filter(d => d.key !== "depreciation").map(d => deductionLine(d, lang)));
+
+  const decided = settlement.decision;
+  lines.push(
+    decided
+      ? t(lang, "settlement.decided", { amount: rupees(decided.amount) })
+      : t(lang, "settlement.payable", { amount: rupees(settlement.payable) }) + "\n" + t(lang, "settlement.to_confirm")
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,239 @@
+import zlib from "zlib";
+
+/* =========================
+   SPREADSHEETS
+   Tables as CSV or XLSX for download. A table is
+   { name, rows } where the first row is the header;
+   cells are strings, numbers or null. XLSX files are
+   written directly (a zip of SpreadsheetML parts), so
+   there is no dependency to keep up to date.
+========================= */
+
+/* =========================
+   CSV
+========================= */
+// Text starting like a formula is prefixed so spreadsheets show it as typed
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Reads CSV text (RFC 4180: quoted cells may hold commas, quotes
+ * and line breaks) into rows of strings. Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+/* =========================
+   ZIP
+   Deflated entries, no zip64: plenty for a
+   claims export.
+========================= */
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01
+
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const fileName = Buffer.from(name, "utf-8");
+    const body = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, body);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/* =========================
+   XLSX
+========================= */
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters other than tab and newlines aren't allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// Style 1 is the bold header row (see STYLES)
+function sheetXml(rows) {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          if (value === null || value === undefined || value === "") return "";
+          const ref = `${columnName(c)}${r + 1}`;
+          const style = r === 0 ? ' s="1"' : "";
+          if (typeof value === "number" && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+          return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  return `${XML_HEAD}<worksheet xmlns="${MAIN_NS}"><sheetViews><sheetView workbookViewId="0">` +
+    '<pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+const STYLES =
+  `${XML_HEAD}<styleSheet xmlns="${MAIN_NS}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border/></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  "</styleSheet>";
+
+// Excel limits sheet names to 31 characters and a few symbols
+function sheetName(name, i) {
+  return escapeXml(String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, " ").slice(0, 31));
+}
+
+/**
+ * A workbook with one sheet per table, as a Buffer.
+ */
+export function toXlsx(tables) {
+  const sheets = tables.map((table, i) => ({
+    name: `xl/worksheets/sheet${i + 1}.xml`,
+    data: Buffer.from(sheetXml(table.rows), "utf-8")
+  }));
+
+  const contentTypes =
+    `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets
+      .map(
+        s =>
+          `<Override PartName="/${s.name}" ` +
+          'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      )
+      .join("") +
+    "</Types>";
+
+  const rootRels =
+    `${XML_HEAD}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    "</Relationships>";
+
+  const workbook =
+    `${XML_HEAD}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+    tables.map((table, i) => `<sheet name="${sheetName(table.name, i)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+    "</sheets></workbook>";
+
+  const workbookRels =
+    `${XML_HEAD}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    sheets
+      .map((s, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+      .join("") +
+    `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    "</Relationships>";
+
+  return zip([
+    { name: "[Content_Types].xml", data: Buffer.from(contentTypes, "utf-8") },
+    { name: "_rels/.rels", data: Buffer.from(rootRels, "utf-8") },
+    { name: "xl/workbook.xml", data: Buffer.from(workbook, "utf-8") },
+    { name: "xl/_rels/workbook.xml.rels", data: Buffer.from(workbookRels, "utf-8") },
+    { name: "xl/styles.xml", data: Buffer.from(STYLES, "utf-8") },
+    ...sheets
+  ]);
+}
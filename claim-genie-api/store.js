@@ -0,0 +1,444 @@
+import { EventEmitter } from "events";
+import { getDatabase } from "./db.js";
+import { ensureHistory, ensureRevisions, startLifecycle } from "./workflow.js";
+
+/* =========================
+   REPOSITORY
+   Every read-modify-write runs inside one SQLite
+   transaction, so concurrent chats can't lose writes.
+   Once a write is committed, claimEvents emits
+     created         (claim)
+     status_changed  (claim, previousStatus)
+   whichever route or chat made the change.
+========================= */
+export const claimEvents = new EventEmitter();
+
+function toClaim(row) {
+  return row ? ensureRevisions(ensureHistory(JSON.parse(row.data))) : null;
+}
+
+function writeClaim(db, claim) {
+  db.prepare(
+    `INSERT INTO claims (claim_id, policy_number, claim_status, created_at, data)
+     VALUES (@claimId, @policy_number, @claim_status, @createdAt, @data)
+     ON CONFLICT (claim_id) DO UPDATE SET
+       policy_number = excluded.policy_number,
+       claim_status = excluded.claim_status,
+       data = excluded.data`
+  ).run({
+    claimId: claim.claimId,
+    policy_number: claim.policy_number,
+    claim_status: claim.claim_status ?? null,
+    createdAt: claim.createdAt ?? null,
+    data: JSON.stringify(claim)
+  });
+}
+
+function readClaim(db, id) {
+  return toClaim(db.prepare("SELECT data FROM claims WHERE claim_id = ?").get(String(id).trim()));
+}
+
+/* =========================
+   POLICIES
+========================= */
+export async function loadPolicies() {
+  const rows = getDatabase().prepare("SELECT policy_number, data FROM policies").all();
+  return Object.fromEntries(rows.map(r => [r.policy_number, JSON.parse(r.data)]));
+}
+
+export async function getPolicy(number) {
+  const row = getDatabase()
+    .prepare("SELECT data FROM policies WHERE policy_number = ?")
+    .get(String(number).trim());
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Adds a policy unless one with that number exists. Resolves
+ * to true when it was added.
+ */
+export async function createPolicy(number, policy) {
+  const { changes } = getDatabase()
+    .prepare("INSERT INTO policies (policy_number, data) VALUES (?, ?) ON CONFLICT DO NOTHING")
+    .run(number, JSON.stringify(policy));
+  return changes > 0;
+}
+
+/**
+ * Like updateClaim: `change` runs inside the transaction and
+ * edits the policy in place or returns { policy } to save
+ * instead; { error } leaves it untouched. Resolves to
+ * { policy }, { error } or null when there is no such policy.
+ */
+export async function updatePolicy(number, change) {
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    const row = db.prepare("SELECT policy_number, data FROM policies WHERE policy_number = ?").get(String(number).trim());
+    if (!row) return null;
+
+    const policy = JSON.parse(row.data);
+    const result = change(policy);
+    if (result?.error) return { error: result.error };
+
+    const saved = result?.policy ?? policy;
+    db.prepare("UPDATE policies SET data = ? WHERE policy_number = ?").run(JSON.stringify(saved), row.policy_number);
+    return { policy: saved };
+  })();
+}
+
+/* =========================
+   CLAIMS
+========================= */
+export async function listClaims() {
+  return getDatabase().prepare("SELECT data FROM claims ORDER BY rowid").all().map(toClaim);
+}
+
+/**
+ * Next CLM- number from the claim sequence. Must run
+ * inside the transaction that inserts the claim.
+ */
+function nextClaimId(db) {
+  const { value } = db
+    .prepare("UPDATE sequences SET value = value + 1 WHERE name = 'claim' RETURNING value")
+    .get();
+  return `CLM-${value}`;
+}
+
+/**
+ * Files a new claim and returns its ID. A repeated call with the
+ * same `submissionKey` returns the claim already filed instead
+ * of creating another one.
+ */
+export async function createClaim(claimData, by, { submissionKey = null } = {}) {
+  const db = getDatabase();
+
+  const { id, claim } = db.transaction(() => {
+    if (submissionKey) {
+      const existing = db.prepare("SELECT claim_id FROM claims WHERE submission_key = ?").get(submissionKey);
+      if (existing) return { id: existing.claim_id };
+    }
+
+    const id = nextClaimId(db);
+    const claim = startLifecycle(
+      {
+        claimId: id,
+        ...claimData,
+        createdAt: new Date().toISOString()
+      },
+      by
+    );
+    writeClaim(db, claim);
+    if (submissionKey)
+      db.prepare("UPDATE claims SET submission_key = ? WHERE claim_id = ?").run(submissionKey, id);
+    return { id, claim };
+  })();
+
+  if (claim) claimEvents.emit("created", claim);
+  return id;
+}
+
+/**
+ * Re-reads the claim and applies `change` to it in one transaction.
+ * `change` must be synchronous; returning { error } leaves the
+ * claim untouched. Resolves to { claim }, { error } or null
+ * when there is no such claim.
+ */
+export async function updateClaim(id, change) {
+  const db = getDatabase();
+  let before;
+
+  const result = db.transaction(() => {
+    const claim = readClaim(db, id);
+    if (!claim) return null;
+    before = claim.claim_status;
+
+    const result = change(claim);
+    if (result?.error) return { error: result.error };
+
+    writeClaim(db, claim);
+    return { claim };
+  })();
+
+  if (result?.claim && result.claim.claim_status !== before)
+    claimEvents.emit("status_changed", result.claim, before);
+  return result;
+}
+
+export async function deleteClaim(id) {
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    const claim = readClaim(db, id);
+    if (claim) db.prepare("DELETE FROM claims WHERE claim_id = ?").run(claim.claimId);
+    return claim;
+  })();
+}
+
+/* =========================
+   RETRIEVAL
+========================= */
+export async function getClaimById(id) {
+  return readClaim(getDatabase(), id);
+}
+
+export async function getClaimIdBySubmissionKey(key) {
+  const row = getDatabase().prepare("SELECT claim_id FROM claims WHERE submission_key = ?").get(key);
+  return row?.claim_id ?? null;
+}
+
+export async function getClaimsByPolicy(policy) {
+  return getDatabase()
+    .prepare("SELECT data FROM claims WHERE policy_number = ? ORDER BY rowid")
+    .all(policy)
+    .map(toClaim);
+}
+
+/* =========================
+   NOTIFICATIONS
+   Every claim email / SMS, whether sent, waiting
+   for a retry or given up on.
+========================= */
+function toNotification(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    claimId: row.claim_id,
+    event: row.event,
+    channel: row.channel,
+    to: row.recipient,
+    subject: row.subject,
+    text: row.body,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    sentAt: row.sent_at
+  };
+}
+
+export async function addNotification({ claimId = null, event = null, channel, to, subject = null, text }) {
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = getDatabase()
+    .prepare(
+      `INSERT INTO notifications
+         (claim_id, event, channel, recipient, subject, body, status, created_at, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)`
+    )
+    .run(claimId, event, channel, to, subject, text, now, now);
+  return getNotification(lastInsertRowid);
+}
+
+export async function getNotification(id) {
+  return toNotification(getDatabase().prepare("SELECT * FROM notifications WHERE id = ?").get(id));
+}
+
+/**
+ * Records the outcome of a delivery attempt.
+ */
+export async function saveNotification(id, outcome) {
+  const { status, attempts, lastError = null, nextAttemptAt = null, sentAt = null } = outcome;
+  getDatabase()
+    .prepare(
+      `UPDATE notifications
+       SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, sent_at = ?
+       WHERE id = ?`
+    )
+    .run(status, attempts, lastError, nextAttemptAt, sentAt, id);
+  return getNotification(id);
+}
+
+export async function dueNotifications(now = new Date().toISOString()) {
+  return getDatabase()
+    .prepare("SELECT * FROM notifications WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id")
+    .all(now)
+    .map(toNotification);
+}
+
+export async function listNotifications({ claimId, status } = {}) {
+  const filters = [
+    ["claim_id = ?", claimId],
+    ["status = ?", status]
+  ].filter(([, value]) => value);
+  const where = filters.length ? `WHERE ${filters.map(([sql]) => sql).join(" AND ")}` : "";
+
+  return getDatabase()
+    .prepare(`SELECT * FROM notifications ${where} ORDER BY id`)
+    .all(...filters.map(([, value]) => value))
+    .map(toNotification);
+}
+
+/* =========================
+   TRANSCRIPTS
+   One row per chat turn, in order within a
+   transcript. Session state and LLM calls are
+   stored as JSON.
+========================= */
+function toTurn(row) {
+  return {
+    seq: row.seq,
+    at: row.at,
+    kind: row.kind,
+    input: JSON.parse(row.input),
+    output: JSON.parse(row.output),
+    stateBefore: JSON.parse(row.state_before),
+    stateAfter: JSON.parse(row.state_after),
+    llmCalls: JSON.parse(row.llm_calls),
+    claimId: row.claim_id,
+    durationMs: row.duration_ms
+  };
+}
+
+export async function addTurn(transcriptId, turn) {
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    const { seq } = db
+      .prepare("SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM transcript_turns WHERE transcript_id = ?")
+      .get(transcriptId);
+    db.prepare(
+      `INSERT INTO transcript_turns
+         (transcript_id, seq, at, kind, input, output, state_before, state_after, llm_calls, claim_id, duration_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      transcriptId,
+      seq,
+      turn.at ?? new Date().toISOString(),
+      turn.kind,
+      JSON.stringify(turn.input),
+      JSON.stringify(turn.output),
+      JSON.stringify(turn.stateBefore),
+      JSON.stringify(turn.stateAfter),
+      JSON.stringify(turn.llmCalls ?? []),
+      turn.claimId ?? null,
+      turn.durationMs ?? null
+    );
+    return seq;
+  })();
+}
+
+/**
+ * Every turn of a transcript, oldest first. Empty when
+ * there is no such transcript.
+ */
+export async function getTranscript(transcriptId) {
+  return getDatabase()
+    .prepare("SELECT * FROM transcript_turns WHERE transcript_id = ? ORDER BY seq")
+    .all(transcriptId)
+    .map(toTurn);
+}
+
+/* =========================
+   VERIFICATION EVENTS
+   Codes sent and wrong codes entered, per policy,
+   so the limits in verification.js hold however
+   many chat sessions ask.
+========================= */
+export async function addVerificationEvent(policyNumber, kind, keepSince) {
+  const db = getDatabase();
+  db.prepare("DELETE FROM verification_events WHERE at < ?").run(keepSince);
+  db.prepare("INSERT INTO verification_events (policy_number, kind, at) VALUES (?, ?, ?)").run(
+    policyNumber,
+    kind,
+    new Date().toISOString()
+  );
+}
+
+export async function countVerificationEvents(policyNumber, kind, since) {
+  const row = getDatabase()
+    .prepare("SELECT COUNT(*) AS n FROM verification_events WHERE policy_number = ? AND kind = ? AND at >= ?")
+    .get(policyNumber, kind, since);
+  return row.n;
+}
+
+/* =========================
+   STAFF ACCOUNTS
+   Users who sign in (auth.js) and the tokens they
+   hold. Only a hash of each token is stored.
+========================= */
+function toUser(row) {
+  if (!row) return null;
+  return {
+    username: row.username,
+    name: row.name,
+    role: row.role,
+    passwordHash: row.password_hash,
+    active: Boolean(row.active),
+    createdAt: row.created_at
+  };
+}
+
+export async function getUser(username) {
+  return toUser(getDatabase().prepare("SELECT * FROM users WHERE username = ?").get(String(username).trim()));
+}
+
+export async function listUsers() {
+  return getDatabase().prepare("SELECT * FROM users ORDER BY username").all().map(toUser);
+}
+
+/**
+ * Adds a user; false if the username is taken.
+ */
+export async function createUser({ username, name, role, passwordHash }) {
+  const { changes } = getDatabase()
+    .prepare(
+      `INSERT INTO users (username, name, role, password_hash, created_at)
+       VALUES (?, ?, ?, ?, ?) ON CONFLICT DO NOTHING`
+    )
+    .run(username, name, role, passwordHash, new Date().toISOString());
+  return changes > 0;
+}
+
+/**
+ * Saves any of name, role, passwordHash and active. A user who
+ * is deactivated or given a new password or role is signed out.
+ */
+export async function updateUser(username, fields) {
+  const db = getDatabase();
+  const columns = { name: "name", role: "role", passwordHash: "password_hash", active: "active" };
+
+  return db.transaction(() => {
+    const user = toUser(db.prepare("SELECT * FROM users WHERE username = ?").get(String(username).trim()));
+    if (!user) return null;
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (fields[field] === undefined) continue;
+      const value = field === "active" ? Number(fields[field]) : fields[field];
+      db.prepare(`UPDATE users SET ${column} = ? WHERE username = ?`).run(value, user.username);
+    }
+    if (["role", "passwordHash", "active"].some(f => fields[f] !== undefined))
+      db.prepare("DELETE FROM auth_tokens WHERE username = ?").run(user.username);
+
+    return toUser(db.prepare("SELECT * FROM users WHERE username = ?").get(user.username));
+  })();
+}
+
+export async function saveToken(tokenHash, username, expiresAt) {
+  const db = getDatabase();
+  const now = new Date().toISOString();
+  db.prepare("DELETE FROM auth_tokens WHERE expires_at <= ?").run(now);
+  db.prepare("INSERT INTO auth_tokens (token_hash, username, created_at, expires_at) VALUES (?, ?, ?, ?)").run(
+    tokenHash,
+    username,
+    now,
+    expiresAt
+  );
+}
+
+/**
+ * The active user an unexpired token belongs to, or null.
+ */
+export async function getTokenUser(tokenHash) {
+  const row = getDatabase()
+    .prepare(
+      `SELECT users.* FROM auth_tokens JOIN users ON users.username = auth_tokens.username
+       WHERE token_hash = ? AND expires_at > ? AND users.active = 1`
+    )
+    .get(tokenHash, new Date().toISOString());
+  return toUser(row);
+}
+
+export async function deleteToken(tokenHash) {
+  getDatabase().prepare("DELETE FROM auth_tokens WHERE token_hash = ?").run(tokenHash);
+}
@@ -0,0 +1,40 @@
+import { t } from "./i18n.js";
+
+/* =========================
+   SERVER-SENT EVENTS
+   POST /api/chat/stream answers with a text/event-stream.
+   Only progress is streamed: replies are put together
+   from templates, not generated by the model, so the
+   whole reply arrives in `done`.
+     progress  { step, label }   while the request is worked on;
+                                 label is in the chat's language
+     done      { sessionId, reply }
+     error     { reply }
+========================= */
+export function openStream(res) {
+  let closed = false;
+  res.on("close", () => (closed = true));
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  function send(event, data) {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function progress(step, lang) {
+    send("progress", { step, label: t(lang, `progress.${step}`, {}, step) });
+  }
+
+  function end() {
+    if (!closed) res.end();
+  }
+
+  return { send, progress, end };
+}
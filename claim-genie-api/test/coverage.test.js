@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkCoverage, checkPolicy } from "../coverage.js";
+
+/* =========================
+   COVERAGE
+   Policies are valid well past any test run unless a
+   test is about expiry.
+========================= */
+const motorPolicy = {
+  policyType: "Motor Insurance",
+  policyStatus: "Active",
+  validFrom: "2024-01-01",
+  validTill: "2099-12-31",
+  sumInsured: "3,00,000",
+  coverage_ownDamage: "Yes",
+  coverage_thirdParty: "Yes",
+  coverage_personalAccident: "No"
+};
+
+const healthPolicy = {
+  policyType: "Health Insurance",
+  policyStatus: "Active",
+  validFrom: "2024-01-01",
+  validTill: "2099-12-31",
+  sumInsured: "5,00,000"
+};
+
+function motorClaim(fields) {
+  return { claim_type: "Accident", incident_date: "2025-06-01", claim_amount: "20000", ...fields };
+}
+
+function rejectionKeys(result) {
+  return result.rejections.map(r => r.key);
+}
+
+test("passes a claim the policy covers", () => {
+  const result = checkCoverage(motorClaim(), motorPolicy);
+
+  assert.equal(result.status, "eligible");
+  assert.deepEqual(result.rejections, []);
+  assert.deepEqual(result.warnings, []);
+});
+
+test("rejects a claim on an expired or inactive policy", () => {
+  const expired = checkCoverage(motorClaim(), { ...motorPolicy, validTill: "2020-01-01" });
+  assert.equal(expired.status, "rejected");
+  assert.deepEqual(expired.rejections[0], {
+    rule: "policyExpiry",
+    key: "policy_expired",
+    params: { date: "2020-01-01" },
+    message: expired.rejections[0].message
+  });
+
+  const lapsed = checkPolicy({ ...motorPolicy, policyStatus: "Lapsed" });
+  assert.deepEqual(rejectionKeys(lapsed), ["policy_status"]);
+});
+
+test("rejects an incident outside the policy term", () => {
+  assert.deepEqual(rejectionKeys(checkCoverage(motorClaim({ incident_date: "2023-12-31" }), motorPolicy)), [
+    "before_policy_start"
+  ]);
+  assert.deepEqual(
+    rejectionKeys(checkCoverage(motorClaim({ incident_date: "2025-06-01" }), { ...motorPolicy, validTill: "2025-05-31" })),
+    ["policy_expired", "after_policy_end"]
+  );
+});
+
+test("rejects an amount above the sum insured and warns near it", () => {
+  const above = checkCoverage(motorClaim({ claim_amount: "₹3,50,000" }), motorPolicy);
+  assert.deepEqual(rejectionKeys(above), ["above_sum_insured"]);
+  assert.deepEqual(above.rejections[0].params, { amount: "₹3,50,000", limit: "₹3,00,000" });
+
+  const near = checkCoverage(motorClaim({ claim_amount: 250000 }), motorPolicy);
+  assert.equal(near.status, "eligible_with_warnings");
+  assert.deepEqual(near.warnings.map(w => w.key), ["near_sum_insured"]);
+});
+
+test("rejects a motor claim under a cover the policy lacks", () => {
+  const result = checkCoverage(motorClaim({ claim_type: "Injury to rider" }), motorPolicy);
+
+  assert.deepEqual(rejectionKeys(result), ["cover_missing"]);
+  assert.equal(result.rejections[0].field, "claim_type");
+  assert.deepEqual(result.rejections[0].params, { category: "personal_accident" });
+});
+
+test("rejects vehicle damage on a health policy", () => {
+  const result = checkCoverage(motorClaim({ claim_type: "Car accident" }), healthPolicy);
+
+  assert.deepEqual(rejectionKeys(result), ["not_covered"]);
+  assert.deepEqual(result.rejections[0].params, { policyType: "Health Insurance", category: "own_damage" });
+});
+
+test("only warns when a motor policy doesn't record the cover", () => {
+  const policy = { ...motorPolicy, coverage_thirdParty: undefined };
+  const result = checkCoverage(motorClaim({ claim_type: "Third party damage" }), policy);
+
+  assert.equal(result.status, "eligible_with_warnings");
+  assert.deepEqual(result.warnings.map(w => w.key), ["cover_unrecorded"]);
+});
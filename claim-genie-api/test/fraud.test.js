@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreClaim } from "../fraud.js";
+
+/* =========================
+   RISK SCORING
+   60 points or more is high risk, 30 or more medium.
+   The policy runs for a year so that only the signals a
+   test sets up fire.
+========================= */
+const policy = { validFrom: "2025-01-01", validTill: "2025-12-31", sumInsured: "1,00,000" };
+
+function claim(fields) {
+  return {
+    claimId: "CLM-NEW",
+    claim_type: "Accident",
+    incident_date: "2025-06-01",
+    claim_amount: "20000",
+    service_provider: "City Motors",
+    description_of_loss: "Rear bumper cracked",
+    ...fields
+  };
+}
+
+function codes(risk) {
+  return risk.reasons.map(r => r.code);
+}
+
+test("scores a claim with no signals as low risk", () => {
+  const risk = scoreClaim(claim(), policy, []);
+
+  assert.equal(risk.score, 0);
+  assert.equal(risk.level, "low");
+  assert.deepEqual(risk.reasons, []);
+});
+
+test("stays low just under the medium band", () => {
+  const risk = scoreClaim(claim({ incident_date: "2025-01-10" }), policy, []);
+
+  assert.deepEqual(codes(risk), ["early_in_policy"]);
+  assert.equal(risk.score, 20);
+  assert.equal(risk.level, "low");
+});
+
+test("scores a near-duplicate as medium risk", () => {
+  const earlier = claim({ claimId: "CLM-1", claim_amount: "19000", description_of_loss: "Front door scratched" });
+  const risk = scoreClaim(claim(), policy, [earlier]);
+
+  assert.deepEqual(codes(risk), ["near_duplicate"]);
+  assert.equal(risk.score, 30);
+  assert.equal(risk.level, "medium");
+});
+
+test("scores an exact duplicate near the sum insured as high risk", () => {
+  const earlier = claim({ claimId: "CLM-1", claim_amount: "85000" });
+  const risk = scoreClaim(claim({ claim_amount: "85000" }), policy, [earlier]);
+
+  assert.deepEqual(codes(risk), ["duplicate", "near_sum_insured"]);
+  assert.equal(risk.score, 60);
+  assert.equal(risk.level, "high");
+  assert.match(risk.reasons[0].message, /CLM-1/);
+});
+
+test("caps the score at 100", () => {
+  const others = ["CLM-1", "CLM-2", "CLM-3", "CLM-4"].map(claimId =>
+    claim({ claimId, incident_date: "2025-01-05", claim_amount: "95000", createdAt: new Date().toISOString() })
+  );
+  const risk = scoreClaim(claim({ incident_date: "2025-01-05", claim_amount: "95000" }), policy, others);
+
+  assert.deepEqual(codes(risk), [
+    "duplicate",
+    "frequent_claims",
+    "near_sum_insured",
+    "early_in_policy",
+    "repeated_provider"
+  ]);
+  assert.equal(risk.score, 100);
+  assert.equal(risk.level, "high");
+});
+
+test("ignores withdrawn claims and the claim itself", () => {
+  const others = [claim(), claim({ claimId: "CLM-1", claim_status: "Withdrawn" })];
+
+  assert.equal(scoreClaim(claim(), policy, others).score, 0);
+});
@@ -0,0 +1,96 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { importClaims, readImport } from "../importer.js";
+import { getClaimById, getClaimsByPolicy, listClaims } from "../store.js";
+
+/* =========================
+   CLAIM IMPORT
+   Runs against a throwaway database seeded from
+   claims.json and policies.json, and the rules
+   provider. The database is opened on first use, so
+   setting DB_FILE here is early enough.
+========================= */
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "claim-genie-import-"));
+process.env.DB_FILE = path.join(dir, "claims.db");
+process.env.LLM_PROVIDER = "rules";
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const CSV = [
+  "Policy Number,Claim Type,Incident Date,Incident Location,Claim Amount,Service Provider,Description of Loss",
+  "P12345,Accident,2025-06-01,Kondapur,\"12,000\",City Motors,Rear bumper cracked",
+  "P12345,Accident,2025-06-08,Madhapur,8000,City Motors,Headlight broken"
+].join("\n");
+
+function rows() {
+  const result = readImport(CSV);
+  assert.equal(result.error, undefined);
+  return result.rows;
+}
+
+async function snapshot() {
+  return (await listClaims()).map(c => c.claimId).sort();
+}
+
+test("a dry run reports the claims it would file and leaves the database unchanged", async () => {
+  const before = await snapshot();
+  const result = await importClaims(rows(), { dryRun: true });
+
+  assert.equal(result.dryRun, true);
+  assert.deepEqual([result.total, result.imported, result.duplicates, result.failed], [2, 2, 0, 0]);
+  assert.deepEqual(
+    result.rows.map(r => [r.row, r.status]),
+    [
+      [2, "imported"],
+      [3, "imported"]
+    ]
+  );
+  assert.deepEqual(await snapshot(), before);
+  assert.equal(await getClaimById(result.rows[0].claimId), null);
+});
+
+test("files each row once and reports a re-import as duplicates", async () => {
+  const before = (await getClaimsByPolicy("P12345")).length;
+
+  const first = await importClaims(rows(), { by: "Branch Office" });
+  assert.deepEqual([first.imported, first.duplicates], [2, 0]);
+
+  const claim = await getClaimById(first.rows[0].claimId);
+  assert.equal(claim.claim_amount, 12000);
+  assert.equal(claim.claimant_name, "John");
+  assert.equal(claim.importedRow, 2);
+  assert.equal(claim.history[0].by, "Branch Office");
+
+  const again = await importClaims(rows());
+  assert.deepEqual([again.imported, again.duplicates], [0, 2]);
+  assert.deepEqual(
+    again.rows.map(r => r.claimId),
+    first.rows.map(r => r.claimId)
+  );
+  assert.equal((await getClaimsByPolicy("P12345")).length, before + 2);
+});
+
+test("a dry run of rows already imported finds them as duplicates", async () => {
+  const result = await importClaims(rows(), { dryRun: true });
+
+  assert.deepEqual([result.imported, result.duplicates], [0, 2]);
+});
+
+test("reports bad rows without stopping the rest", async () => {
+  const result = await importClaims(
+    [
+      { row: 1, data: { claim_type: "Accident" } },
+      { row: 2, data: { policy_number: "P00000" } },
+      { row: 3, data: { policy_number: "p12345", claim_type: "Accident" } }
+    ],
+    { dryRun: true }
+  );
+
+  assert.deepEqual([result.imported, result.failed], [0, 3]);
+  assert.deepEqual(result.rows[0].errors, ["Policy Number is required."]);
+  assert.deepEqual(result.rows[1].errors, ["Policy P00000 not found."]);
+  assert.match(result.rows[2].errors[0], /^Missing: Incident Date, Incident Location/);
+});
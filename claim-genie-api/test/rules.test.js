@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAmount, parseCorrections, parseDate, parseLabelledFields } from "../providers/rules.js";
+import { SCHEMAS } from "../schemas.js";
+
+const labels = SCHEMAS.motor.fields;
+
+/* =========================
+   DATES
+========================= */
+test("reads ISO, day-first and written-out dates", () => {
+  assert.deepEqual(parseDate("2024-03-05"), { date: "2024-03-05" });
+  assert.deepEqual(parseDate("5 March 2024"), { date: "2024-03-05" });
+  assert.deepEqual(parseDate("March 5th, 2024"), { date: "2024-03-05" });
+  assert.deepEqual(parseDate("25/12/2024"), { date: "2024-12-25" });
+  assert.deepEqual(parseDate("10/10/26"), { date: "2026-10-10" });
+});
+
+test("asks again for dates that could be read two ways", () => {
+  assert.deepEqual(parseDate("03/05/2024"), { ambiguous: true });
+});
+
+test("rejects dates that don't exist or can't be read", () => {
+  assert.deepEqual(parseDate("2023-02-29"), { invalid: true });
+  assert.deepEqual(parseDate("31 Foo 2024"), { invalid: true });
+  assert.deepEqual(parseDate("last week"), { invalid: true });
+  assert.deepEqual(parseDate(null), { invalid: true });
+});
+
+test("resolves today and yesterday", () => {
+  const { date } = parseDate("yesterday");
+  const expected = new Date();
+  expected.setDate(expected.getDate() - 1);
+  assert.equal(new Date(`${date}T00:00`).toDateString(), expected.toDateString());
+});
+
+/* =========================
+   AMOUNTS
+========================= */
+test("reads amounts with separators, thousands and lakhs", () => {
+  assert.equal(parseAmount("₹12,500"), 12500);
+  assert.equal(parseAmount("Rs 15k"), 15000);
+  assert.equal(parseAmount("1.5 lakh"), 150000);
+  assert.equal(parseAmount("2 lakhs"), 200000);
+  assert.equal(parseAmount("about 800.50 rupees"), 800.5);
+  assert.equal(parseAmount("no idea"), null);
+});
+
+/* =========================
+   LABELLED FIELDS
+========================= */
+test("reads labelled fields one per line or inline", () => {
+  const text = "Claimant Name: John\nIncident Date: 2024-03-05\nClaim Amount: ₹12,000, Location - Kondapur";
+
+  assert.deepEqual(parseLabelledFields(text, labels), {
+    claimant_name: "John",
+    incident_date: "2024-03-05",
+    claim_amount: 12000,
+    incident_location: "Kondapur"
+  });
+});
+
+test("matches field keys and aliases, and keeps the first value given", () => {
+  assert.deepEqual(parseLabelledFields("garage = Speedy Motors; amount: 5k; garage: Other", labels), {
+    service_provider: "Speedy Motors",
+    claim_amount: 5000
+  });
+  assert.deepEqual(parseLabelledFields("I had an accident yesterday", labels), {});
+});
+
+/* =========================
+   CORRECTIONS
+========================= */
+test("reads corrections in words or as labelled lines", () => {
+  assert.deepEqual(parseCorrections("change amount to 7500", labels), { claim_amount: 7500 });
+  assert.deepEqual(parseCorrections("Please set the incident location to Madhapur", labels), {
+    incident_location: "Madhapur"
+  });
+  assert.deepEqual(parseCorrections("Location: Kondapur", labels), { incident_location: "Kondapur" });
+});
+
+test("ignores corrections to fields it doesn't know", () => {
+  assert.deepEqual(parseCorrections("change colour to red", labels), {});
+  assert.deepEqual(parseCorrections("looks good", labels), {});
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateSettlement } from "../settlement.js";
+
+/* =========================
+   SETTLEMENT
+   Figures follow settlement.json: a ₹1,000 motor
+   deductible, 50% on rubber and plastic, metal by the
+   vehicle's age, and 10% co-pay on health claims.
+========================= */
+const motorPolicy = {
+  policyType: "Motor Insurance",
+  sumInsured: "3,00,000",
+  yearOfManufacture: "2020",
+  coverage_ownDamage: "Yes"
+};
+
+const healthPolicy = { policyType: "Health Insurance", sumInsured: "10,00,000" };
+
+function motorClaim(fields) {
+  return { schema: "motor", claim_type: "Accident", incident_date: "2025-06-01", ...fields };
+}
+
+function amountFor(settlement, key) {
+  return settlement.deductions.find(d => d.key === key)?.amount;
+}
+
+test("shares the claimed amount between the parts named and depreciates each", () => {
+  const s = calculateSettlement(motorClaim({ description_of_loss: "Bumper and door", claim_amount: 10000 }), motorPolicy);
+
+  assert.equal(s.basis, "estimate");
+  assert.deepEqual(
+    s.items.map(i => [i.key, i.amount, i.rate, i.depreciation]),
+    [
+      ["bumper", 5000, 50, 2500],
+      ["body_panel", 5000, 50, 2500]
+    ]
+  );
+  assert.equal(amountFor(s, "depreciation"), 5000);
+  assert.equal(amountFor(s, "deductible"), 1000);
+  assert.equal(s.payable, 4000);
+});
+
+test("pays nothing when the amount is below the deductible", () => {
+  const s = calculateSettlement(motorClaim({ description_of_loss: "Cracked windshield", claim_amount: "₹800" }), motorPolicy);
+
+  assert.equal(s.claimed, 800);
+  assert.equal(amountFor(s, "depreciation"), undefined);
+  assert.equal(s.payable, 0);
+});
+
+test("uses the policy's own deductible", () => {
+  const policy = { ...motorPolicy, deductible: "0" };
+  const s = calculateSettlement(motorClaim({ description_of_loss: "Cracked windshield", claim_amount: 800 }), policy);
+
+  assert.equal(amountFor(s, "deductible"), undefined);
+  assert.equal(s.payable, 800);
+});
+
+test("deducts the whole amount when the policy doesn't cover the claim", () => {
+  const policy = { ...motorPolicy, coverage_ownDamage: "No" };
+  const s = calculateSettlement(motorClaim({ description_of_loss: "Dent on the door", claim_amount: 20000 }), policy);
+
+  assert.deepEqual(s.deductions, [{ key: "not_covered", category: "own_damage", amount: 20000 }]);
+  assert.equal(s.payable, 0);
+});
+
+test("health policies don't pay for vehicle damage", () => {
+  const claim = { schema: "health", claim_type: "Car damage", claim_amount: 30000 };
+  const s = calculateSettlement(claim, healthPolicy);
+
+  assert.equal(amountFor(s, "not_covered"), 30000);
+  assert.equal(s.payable, 0);
+});
+
+test("caps assessed items at the sum insured", () => {
+  const policy = { ...motorPolicy, sumInsured: "50,000" };
+  const items = [
+    { part: "Windshield", material: "glass", amount: 60000 },
+    { part: "Labour", material: "labour", amount: 20000 }
+  ];
+  const s = calculateSettlement(motorClaim({ description_of_loss: "Bumper", claim_amount: 10000 }), policy, { items });
+
+  assert.equal(s.basis, "assessed");
+  assert.equal(s.items.length, 2);
+  assert.deepEqual(s.deductions.at(-1), { key: "sum_insured", limit: 50000, amount: 29000 });
+  assert.equal(s.payable, 50000);
+});
+
+test("applies a health sub-limit before co-pay", () => {
+  const s = calculateSettlement({ schema: "health", diagnosis: "Cataract surgery", claim_amount: 60000 }, healthPolicy);
+
+  assert.equal(amountFor(s, "sub_limit"), 20000);
+  assert.equal(amountFor(s, "co_pay"), 4000);
+  assert.equal(s.payable, 36000);
+});
+
+test("has nothing to calculate without an amount or for other kinds of claim", () => {
+  assert.equal(calculateSettlement(motorClaim({ description_of_loss: "Dent" }), motorPolicy), null);
+  assert.equal(calculateSettlement({ schema: "home", claim_amount: 5000 }, {}), null);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { parseCsv, toCsv, toXlsx } from "../spreadsheet.js";
+
+/* =========================
+   CSV
+========================= */
+test("CSV round-trips commas, quotes and line breaks", () => {
+  const rows = [
+    ["Claim ID", "Description", "Amount"],
+    ["CLM-1001", 'Hit a "pothole", bent the rim', "12000"],
+    ["CLM-1002", "Line one\nLine two", ""],
+    ["CLM-1003", "Ünïcödé — ₹5,000", "5000"]
+  ];
+
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test("CSV writes numbers and empty cells as they are", () => {
+  assert.equal(toCsv([["a", 1.5, null, undefined]]), "a,1.5,,\r\n");
+});
+
+test("CSV guards text that a spreadsheet would run as a formula", () => {
+  const csv = toCsv([["=SUM(A1:A2)", "+91 98765", "-5", "@cmd"]]);
+
+  assert.equal(csv, "'=SUM(A1:A2),'+91 98765,'-5,'@cmd\r\n");
+  assert.deepEqual(parseCsv(csv), [["'=SUM(A1:A2)", "'+91 98765", "'-5", "'@cmd"]]);
+});
+
+test("CSV reading skips a BOM and blank lines and accepts any line ending", () => {
+  const text = "\uFEFFpolicy_number,claim_amount\r\nP12345,500\n\n\rP4567,\"1,200\"";
+
+  assert.deepEqual(parseCsv(text), [
+    ["policy_number", "claim_amount"],
+    ["P12345", "500"],
+    ["P4567", "1,200"]
+  ]);
+});
+
+test("CSV reading keeps a last row without a line break and empty trailing cells", () => {
+  assert.deepEqual(parseCsv("a,b,c\n1,,"), [
+    ["a", "b", "c"],
+    ["1", "", ""]
+  ]);
+});
+
+/* =========================
+   XLSX
+   Reads the zip back entry by entry, checking each
+   CRC, so a workbook Excel would reject fails here.
+========================= */
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const crc = buffer.readUInt32LE(offset + 14);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString("utf-8", offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + size));
+
+    assert.equal(zlib.crc32(data), crc, `CRC of ${name}`);
+    files[name] = data.toString("utf-8");
+    offset = start + size;
+  }
+  assert.equal(buffer.readUInt32LE(buffer.length - 22), 0x06054b50, "end of central directory");
+  assert.equal(buffer.readUInt16LE(buffer.length - 12), Object.keys(files).length, "entries in the directory");
+  return files;
+}
+
+test("XLSX holds one worksheet per table with a bold header row", () => {
+  const files = unzip(
+    toXlsx([
+      { name: "Claims", rows: [["Claim ID", "Amount"], ["CLM-1001", 12000], ["<Tom & Jerry>", null]] },
+      { name: "By status: all/any", rows: [["Status"], ["Filed"]] }
+    ])
+  );
+
+  assert.deepEqual(Object.keys(files), [
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "xl/workbook.xml",
+    "xl/_rels/workbook.xml.rels",
+    "xl/styles.xml",
+    "xl/worksheets/sheet1.xml",
+    "xl/worksheets/sheet2.xml"
+  ]);
+  assert.match(files["xl/workbook.xml"], /<sheet name="Claims" sheetId="1"/);
+  assert.match(files["xl/workbook.xml"], /<sheet name="By status  all any" sheetId="2"/);
+
+  const sheet = files["xl/worksheets/sheet1.xml"];
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Claim ID<\/t>/);
+  assert.match(sheet, /<c r="B2"><v>12000<\/v><\/c>/);
+  assert.match(sheet, /&lt;Tom &amp; Jerry&gt;/);
+  assert.doesNotMatch(sheet, /r="B3"/);
+});
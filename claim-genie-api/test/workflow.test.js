@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { allowedTransitions, pendingWithFor, resolveStatus, startLifecycle, transitionClaim } from "../workflow.js";
+
+/* =========================
+   TRANSITIONS
+   States and the moves between them follow
+   workflow.json.
+========================= */
+function filedClaim() {
+  return startLifecycle({ schema: "motor", claim_amount: 5000 }, "John");
+}
+
+test("starts a new claim as Filed with the intake team", () => {
+  const claim = filedClaim();
+
+  assert.equal(claim.claim_status, "Filed");
+  assert.equal(claim.pending_with, "Claims Intake Team");
+  assert.deepEqual(
+    claim.history.map(e => [e.action, e.by, e.to]),
+    [["created", "John", "Filed"]]
+  );
+});
+
+test("moves a claim along an allowed transition and records it", () => {
+  const claim = filedClaim();
+  const result = transitionClaim(claim, "in review", { by: "adjuster", note: "Documents complete" });
+
+  assert.equal(result.error, undefined);
+  assert.equal(claim.claim_status, "In Review");
+  assert.equal(claim.pending_with, "Claims Verification Team");
+  assert.deepEqual(claim.history.at(-1), {
+    at: claim.history.at(-1).at,
+    by: "adjuster",
+    action: "status_changed",
+    from: "Filed",
+    to: "In Review",
+    pending_with: "Claims Verification Team",
+    note: "Documents complete"
+  });
+});
+
+test("refuses a transition the current state doesn't allow", () => {
+  const claim = filedClaim();
+  const result = transitionClaim(claim, "Settled", { by: "adjuster" });
+
+  assert.match(result.error, /Cannot move a claim from Filed to Settled\. Allowed: In Review, Rejected, Withdrawn\./);
+  assert.equal(claim.claim_status, "Filed");
+  assert.equal(claim.history.length, 1);
+});
+
+test("refuses to move a claim out of a final status", () => {
+  const claim = filedClaim();
+  transitionClaim(claim, "Withdrawn", { by: "John" });
+
+  assert.deepEqual(allowedTransitions("Withdrawn"), []);
+  assert.match(transitionClaim(claim, "In Review", { by: "adjuster" }).error, /Withdrawn is a final status\./);
+});
+
+test("refuses a status that doesn't exist", () => {
+  assert.deepEqual(transitionClaim(filedClaim(), "Paid", { by: "adjuster" }), { error: 'Unknown status "Paid".' });
+  assert.equal(resolveStatus("Paid"), null);
+});
+
+/* =========================
+   PENDING WITH
+========================= */
+test("names the team a status is pending with, ignoring case", () => {
+  assert.equal(pendingWithFor("surveyor assigned"), "Surveyor");
+  assert.equal(pendingWithFor("Approved", { risk: { level: "low" } }), "Claims Settlement Team");
+  assert.equal(pendingWithFor("Closed"), null);
+  assert.equal(pendingWithFor("Paid"), null);
+});
+
+test("sends high-risk claims to the special team while they are Filed or In Review", () => {
+  const risky = { risk: { level: "high", score: 75 } };
+
+  assert.equal(pendingWithFor("Filed", risky), "Special Claims Team");
+  assert.equal(pendingWithFor("In Review", risky), "Special Claims Team");
+  assert.equal(pendingWithFor("Approved", risky), "Claims Settlement Team");
+  assert.equal(pendingWithFor("Filed", { risk: { level: "medium" } }), "Claims Intake Team");
+});
+
+test("routes a high-risk claim from filing and flags it internally", () => {
+  const claim = startLifecycle({ schema: "motor", risk: { level: "high", score: 75 } }, "John");
+
+  assert.equal(claim.pending_with, "Special Claims Team");
+  assert.deepEqual(
+    claim.history.map(e => [e.action, e.internal ?? false]),
+    [
+      ["created", false],
+      ["risk_flagged", true]
+    ]
+  );
+
+  transitionClaim(claim, "In Review", { by: "adjuster" });
+  assert.equal(claim.pending_with, "Special Claims Team");
+  transitionClaim(claim, "Approved", { by: "adjuster" });
+  assert.equal(claim.pending_with, "Claims Settlement Team");
+});
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { runInSandbox } from "./db.js";
+import { addTurn, getTranscript } from "./store.js";
+
+/* =========================
+   TRANSCRIPTS
+   Every chat message and upload is stored as a turn:
+   what came in, the reply, the session state before
+   and after, and the LLM calls it took. A session
+   keeps one transcript until the user starts over;
+   claims filed from it point back to it.
+========================= */
+const turns = new AsyncLocalStorage();
+
+/**
+ * Called by the providers for every LLM call; kept with the
+ * turn that made it, ignored outside a turn.
+ */
+export function recordLlmCall(call) {
+  turns.getStore()?.push(call);
+}
+
+async function traceCalls(fn) {
+  const calls = [];
+  const result = await turns.run(calls, fn);
+  return { result, calls };
+}
+
+// Session state as stored; the verification code hash never is
+function snapshot(session) {
+  const state = structuredClone(session);
+  if (state.verification) delete state.verification.hash;
+  return state;
+}
+
+// Anything typed while a code is awaited is taken as the code
+function isCode(state, input) {
+  return state.state === "awaiting_otp" && String(input.message ?? "").toLowerCase().trim() !== "resend";
+}
+
+/**
+ * Runs one turn and records it in the session's transcript.
+ * `kind` is "message" or "upload"; `input` is what the user
+ * sent and `handle` resolves to the reply payload. A turn
+ * that can't be recorded is logged, not failed.
+ */
+export async function recordTurn(session, kind, input, handle) {
+  // Taken now: starting over leaves the session without one
+  const transcriptId = (session.transcriptId ??= crypto.randomUUID());
+  const stateBefore = snapshot(session);
+  const started = Date.now();
+
+  const { result, calls } = await traceCalls(handle);
+
+  const masked = kind === "message" && isCode(stateBefore, input);
+  try {
+    await addTurn(transcriptId, {
+      kind,
+      input: masked ? { ...input, message: "[code]", masked: true } : input,
+      output: result,
+      stateBefore,
+      stateAfter: snapshot(session),
+      llmCalls: calls,
+      claimId: session.claimId,
+      durationMs: Date.now() - started
+    });
+  } catch (err) {
+    console.error(`⚠️ Could not record turn for transcript ${transcriptId}: ${err.message}`);
+  }
+  return result;
+}
+
+// What the user's bubble showed; codes are never shown again
+function sentText(turn) {
+  if (turn.kind === "upload") return `📎 ${turn.input.filename}`;
+  return turn.input.masked ? "••••••" : turn.input.message;
+}
+
+/**
+ * The conversation so far as chat bubbles, for a browser
+ * picking a session back up.
+ */
+export async function chatHistory(transcriptId) {
+  const turns = transcriptId ? await getTranscript(transcriptId) : [];
+
+  return turns.flatMap(turn => [
+    { from: "user", text: sentText(turn), at: turn.at },
+    { from: "bot", text: turn.output.reply, ui: turn.output.ui, at: turn.at }
+  ]);
+}
+
+/* =========================
+   REPLAY
+   Feeds a transcript's messages back through the chat
+   against a throwaway copy of the database, starting
+   from the state the transcript began in. Uploads,
+   verification codes and replies to expired sessions
+   can't be repeated: those turns are skipped and the
+   recorded state after them is carried on instead.
+========================= */
+function skipReason(turn) {
+  if (turn.kind === "upload") return "upload";
+  if (turn.input.masked) return "verification";
+  if (turn.input.expired) return "expired";
+  return null;
+}
+
+/**
+ * `respond(session, input)` handles one message and resolves
+ * to its reply payload. Resolves to null when there is no
+ * such transcript.
+ */
+export async function replayTranscript(transcriptId, respond) {
+  const recorded = await getTranscript(transcriptId);
+  if (!recorded.length) return null;
+
+  return runInSandbox(async () => {
+    const session = structuredClone(recorded[0].stateBefore);
+    const results = [];
+
+    for (const turn of recorded) {
+      const skipped = skipReason(turn);
+      if (skipped) {
+        for (const key of Object.keys(session)) delete session[key];
+        Object.assign(session, structuredClone(turn.stateAfter));
+        results.push({ seq: turn.seq, kind: turn.kind, input: turn.input, skipped });
+        continue;
+      }
+
+      const { result, calls } = await traceCalls(() => respond(session, turn.input));
+      results.push({
+        seq: turn.seq,
+        kind: turn.kind,
+        input: turn.input,
+        recorded: turn.output.reply,
+        replayed: result.reply,
+        match: result.reply === turn.output.reply && session.state === turn.stateAfter.state,
+        state: { recorded: turn.stateAfter.state, replayed: session.state },
+        llmCalls: { recorded: turn.llmCalls.length, replayed: calls }
+      });
+    }
+
+    const compared = results.filter(r => !r.skipped);
+    return {
+      transcriptId,
+      turns: results,
+      matched: compared.filter(r => r.match).length,
+      differed: compared.filter(r => !r.match).length,
+      skipped: results.length - compared.length
+    };
+  });
+}
@@ -0,0 +1,112 @@
+import { getProvider } from "./providers/index.js";
+import { checkCoverage, formatEligibility } from "./coverage.js";
+import { getSchema } from "./schemas.js";
+import { fieldLabels, t } from "./i18n.js";
+
+/* =========================
+   CONSTANTS
+   The motor schema, for callers that don't
+   know which line of business a claim is.
+========================= */
+export const FIELD_LABELS = getSchema("motor").fields;
+
+export const REQUIRED_FIELDS = getSchema("motor").required;
+
+/* =========================
+   VALIDATION
+========================= */
+function todayStart() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+async function normalizeDates(data, schema, lang) {
+  for (const f of schema.dates) {
+    if (!data[f]) continue;
+
+    const label = fieldLabels(schema, lang)[f];
+    // Only throws with LLM_FALLBACK=none; the user is asked for the date again
+    const norm = await getProvider()
+      .normalizeDate(data[f])
+      .catch(() => ({ invalid: true }));
+    if (norm.ambiguous) return { error: t(lang, "validation.ambiguous", { label }), missing: [f] };
+    if (norm.invalid) return { error: t(lang, "validation.invalid", { label }), missing: [f] };
+
+    if (!schema.futureDates?.includes(f) && new Date(norm.date) > todayStart())
+      return { error: t(lang, "validation.future", { label }), missing: [f] };
+
+    data[f] = norm.date;
+  }
+  return null;
+}
+
+const NEGATIONS = ["no", "not", "non", "without"];
+
+// Lower-case words between spaces, so " cashless " only matches the whole word
+function spacedWords(text) {
+  return ` ${(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).join(" ")} `;
+}
+
+/**
+ * A choice counts only when exactly one option is named and
+ * nothing negates it: "not cashless" or "cashless or
+ * reimbursement" are asked again rather than guessed.
+ */
+function normalizeChoices(data, schema, lang) {
+  for (const [f, options] of Object.entries(schema.choices)) {
+    if (!data[f]) continue;
+
+    const value = spacedWords(data[f]);
+    const matches = options.filter(o => value.includes(spacedWords(o)));
+    const negated = NEGATIONS.some(n => value.includes(` ${n} `));
+    const match = matches.length === 1 && !negated ? matches[0] : null;
+    if (!match) {
+      const label = fieldLabels(schema, lang)[f];
+      return { error: t(lang, "validation.choice", { label, options: options.join(", ") }), missing: [f] };
+    }
+    data[f] = match;
+  }
+  return null;
+}
+
+/**
+ * Normalizes dates, amount and choices in place and lists missing
+ * fields for the claim's schema (motor by default). With a policy,
+ * also runs the coverage rules: any rejection becomes the error,
+ * and the fields to correct become `missing`. Errors are worded
+ * in `lang`.
+ */
+export async function validateClaim(data, policy, schema = getSchema("motor"), lang = "en") {
+  const invalid = (await normalizeDates(data, schema, lang)) || normalizeChoices(data, schema, lang);
+  if (invalid) return invalid;
+
+  if (data.claim_amount) {
+    const amt = Number(data.claim_amount);
+    data.claim_amount = isNaN(amt) ? null : amt;
+  }
+
+  for (const check of schema.checks) {
+    const problem = check(data);
+    if (problem) return { error: `❌ ${t(lang, problem.key)}`, missing: [problem.field] };
+  }
+
+  const missing = schema.required.filter(f => !data[f]);
+  if (!policy) return { missing };
+
+  const eligibility = checkCoverage(data, policy);
+  if (eligibility.rejections.length) {
+    const fields = [...new Set(eligibility.rejections.map(r => r.field).filter(Boolean))];
+    const labels = fieldLabels(schema, lang);
+    const fix = fields.length
+      ? "\n\n" + t(lang, "validation.correct", { fields: fields.map(f => labels[f]).join(", ") })
+      : "";
+    return {
+      error: formatEligibility({ ...eligibility, warnings: [] }, lang) + fix,
+      missing: fields,
+      eligibility
+    };
+  }
+
+  return { missing, eligibility };
+}
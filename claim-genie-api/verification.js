@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import { sendMessage } from "./outbox.js";
+import { t } from "./i18n.js";
+import { addVerificationEvent, countVerificationEvents } from "./store.js";
+
+/* =========================
+   POLICYHOLDER VERIFICATION
+   Policy and claim details are only shown once the
+   holder enters a one-time code sent to the email /
+   phone number on the policy.
+
+   Codes sent and wrong codes are also counted per
+   policy in the database, so starting a new chat
+   session doesn't buy more of either.
+========================= */
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// Per policy, across all sessions
+const LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS = 3;
+const MAX_FAILURES = 10;
+
+/* =========================
+   HELPERS
+========================= */
+function hashCode(policyNumber, code) {
+  return crypto.createHash("sha256").update(`${policyNumber}:${code}`).digest("hex");
+}
+
+export function maskEmail(email) {
+  const [user, domain] = email.split("@");
+  return `${user[0]}${"*".repeat(Math.max(user.length - 1, 2))}@${domain}`;
+}
+
+export function maskPhone(phone) {
+  const digits = String(phone).replace(/\D/g, "");
+  return `${"*".repeat(Math.max(digits.length - 4, 2))}${digits.slice(-4)}`;
+}
+
+function windowStart() {
+  return new Date(Date.now() - LIMIT_WINDOW_MS).toISOString();
+}
+
+async function tooManyFailures(policyNumber) {
+  return (await countVerificationEvents(policyNumber, "failure", windowStart())) >= MAX_FAILURES;
+}
+
+function contactsFor(policy) {
+  const contacts = [];
+  if (policy.email) contacts.push({ channel: "email", to: policy.email, masked: maskEmail(policy.email) });
+  if (policy.phoneNumber)
+    contacts.push({ channel: "sms", to: policy.phoneNumber, masked: maskPhone(policy.phoneNumber) });
+  return contacts;
+}
+
+/* =========================
+   CODES
+========================= */
+/**
+ * Sends a fresh code to every contact on the policy. The code
+ * message and any error are worded in `lang`.
+ * Resolves to { challenge, sentTo } or { error }.
+ */
+export async function issueCode(policyNumber, policy, lang = "en") {
+  const contacts = contactsFor(policy);
+  if (!contacts.length) return { error: t(lang, "verify.no_contact") };
+
+  if (await tooManyFailures(policyNumber)) return { error: t(lang, "verify.too_many_failures") };
+  if ((await countVerificationEvents(policyNumber, "send", windowStart())) >= MAX_SENDS)
+    return { error: t(lang, "verify.too_many_sends") };
+  await addVerificationEvent(policyNumber, "send", windowStart());
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const text = t(lang, "verify.message", { code, minutes: CODE_TTL_MS / 60000 });
+  const subject = t(lang, "verify.message_subject");
+  const results = await Promise.all(contacts.map(c => sendMessage({ channel: c.channel, to: c.to, subject, text })));
+  const reached = contacts.filter((c, i) => results[i].ok);
+  if (!reached.length) return { error: t(lang, "verify.send_failed") };
+
+  return {
+    challenge: {
+      policyNumber,
+      hash: hashCode(policyNumber, code),
+      expiresAt: Date.now() + CODE_TTL_MS,
+      attempts: 0
+    },
+    sentTo: reached.map(c => c.masked)
+  };
+}
+
+/**
+ * Checks an entered code. Resolves to { ok: true } or { error },
+ * with `locked` set once the code can no longer be used.
+ */
+export async function checkCode(challenge, input, lang = "en") {
+  if (Date.now() > challenge.expiresAt) return { error: t(lang, "verify.expired") };
+  if (await tooManyFailures(challenge.policyNumber))
+    return { error: t(lang, "verify.too_many_failures"), locked: true };
+
+  const entered = String(input).replace(/\s/g, "");
+  const expected = Buffer.from(challenge.hash, "hex");
+  const actual = Buffer.from(hashCode(challenge.policyNumber, entered), "hex");
+  if (crypto.timingSafeEqual(expected, actual)) return { ok: true };
+
+  challenge.attempts++;
+  await addVerificationEvent(challenge.policyNumber, "failure", windowStart());
+  if (await tooManyFailures(challenge.policyNumber))
+    return { error: t(lang, "verify.too_many_failures"), locked: true };
+
+  const left = MAX_ATTEMPTS - challenge.attempts;
+  if (left <= 0) return { error: t(lang, "verify.locked"), locked: true };
+  return { error: t(lang, "verify.wrong_code", { count: left }) };
+}
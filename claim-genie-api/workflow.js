@@ -0,0 +1,293 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { localeFor, statusName, t, teamName } from "./i18n.js";
+import { getSchema } from "./schemas.js";
+
+/* =========================
+   CLAIM LIFECYCLE
+   States, allowed transitions, the team each state
+   is pending with and what the policyholder may
+   still amend in it live in workflow.json.
+========================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKFLOW_FILE = path.join(__dirname, "workflow.json");
+
+export const WORKFLOW = JSON.parse(readFileSync(WORKFLOW_FILE, "utf-8"));
+
+export const STATUSES = Object.keys(WORKFLOW.states);
+
+export function resolveStatus(name) {
+  if (!name) return null;
+  return STATUSES.find(s => s.toLowerCase() === String(name).trim().toLowerCase()) || null;
+}
+
+/**
+ * Team a claim in `status` is pending with. High-risk claims go
+ * to the highRisk team while they are in one of its states.
+ */
+export function pendingWithFor(status, claim) {
+  const resolved = resolveStatus(status);
+  const { highRisk } = WORKFLOW;
+  if (claim?.risk?.level === "high" && highRisk?.states.includes(resolved)) return highRisk.pendingWith;
+  return WORKFLOW.states[resolved]?.pendingWith ?? null;
+}
+
+// Policyholders are never told a claim went to the highRisk team; they see the state's usual one
+function customerTeam(team, status) {
+  if (!team || team !== WORKFLOW.highRisk?.pendingWith) return team ?? null;
+  return WORKFLOW.states[resolveStatus(status)]?.pendingWith ?? null;
+}
+
+/**
+ * Team a claim is pending with, as shown to the policyholder.
+ */
+export function customerPendingWith(claim) {
+  return customerTeam(claim.pending_with, claim.claim_status);
+}
+
+export function allowedTransitions(status) {
+  return WORKFLOW.states[resolveStatus(status)]?.next ?? [];
+}
+
+/* =========================
+   HISTORY
+   Append-only: entries are never edited or removed.
+========================= */
+export function appendHistory(claim, entry) {
+  claim.history = [...(claim.history || []), { at: new Date().toISOString(), ...entry }];
+  return claim;
+}
+
+/**
+ * Puts a brand-new claim into the initial state and
+ * records who filed it.
+ */
+export function startLifecycle(claim, by) {
+  claim.claim_status = WORKFLOW.initial;
+  claim.pending_with = pendingWithFor(WORKFLOW.initial, claim);
+
+  appendHistory(claim, {
+    by,
+    action: "created",
+    to: claim.claim_status,
+    pending_with: claim.pending_with
+  });
+
+  if (claim.risk?.level === "high")
+    appendHistory(claim, {
+      by: "system",
+      action: "risk_flagged",
+      note: `Risk score ${claim.risk.score}/100 — routed to ${claim.pending_with}`,
+      internal: true
+    });
+  return ensureRevisions(claim);
+}
+
+/**
+ * Claims saved before the lifecycle existed have no history.
+ * Give them a single entry built from what the record holds.
+ */
+export function ensureHistory(claim) {
+  if (Array.isArray(claim.history)) return claim;
+
+  const status = resolveStatus(claim.claim_status) || WORKFLOW.initial;
+  claim.claim_status = status;
+  claim.pending_with = claim.pending_with ?? pendingWithFor(status);
+  claim.history = [
+    {
+      at: claim.createdAt || new Date(0).toISOString(),
+      by: "system",
+      action: "created",
+      to: status,
+      pending_with: claim.pending_with
+    }
+  ];
+  return claim;
+}
+
+export function transitionClaim(claim, target, { by, note } = {}) {
+  const from = resolveStatus(claim.claim_status) || WORKFLOW.initial;
+  const to = resolveStatus(target);
+
+  if (!to) return { error: `Unknown status "${target}".` };
+  if (!allowedTransitions(from).includes(to)) {
+    const next = allowedTransitions(from);
+    return {
+      error:
+        `Cannot move a claim from ${from} to ${to}. ` +
+        (next.length ? `Allowed: ${next.join(", ")}.` : `${from} is a final status.`)
+    };
+  }
+
+  claim.claim_status = to;
+  claim.pending_with = pendingWithFor(to, claim);
+  appendHistory(claim, {
+    by,
+    action: "status_changed",
+    from,
+    to,
+    pending_with: claim.pending_with,
+    ...(note ? { note } : {})
+  });
+
+  return { claim };
+}
+
+/**
+ * Re-applies risk routing after a claim is rescored, recording
+ * the move when the team it is pending with changes.
+ */
+export function rerouteClaim(claim, by) {
+  const from = claim.pending_with ?? null;
+  const to = pendingWithFor(claim.claim_status, claim);
+  if (from === to) return claim;
+
+  claim.pending_with = to;
+  return appendHistory(claim, {
+    by,
+    action: "rerouted",
+    changes: { pending_with: { from, to } },
+    internal: true
+  });
+}
+
+/* =========================
+   REVISIONS
+   Claim fields are never simply overwritten: each
+   change adds a numbered revision holding every
+   field as it then stood and what changed. Revision 1
+   is the claim as filed; the top-level fields always
+   match the latest revision.
+========================= */
+function fieldValues(claim) {
+  return Object.fromEntries(Object.keys(getSchema(claim.schema).fields).map(f => [f, claim[f] ?? null]));
+}
+
+/**
+ * Claims saved before revisions existed get them rebuilt
+ * from the field changes in their history.
+ */
+export function ensureRevisions(claim) {
+  if (Array.isArray(claim.revisions)) return claim;
+
+  const edits = (claim.history || []).filter(e => e.action === "updated" && e.changes);
+  const filed = claim.history?.find(e => e.action === "created");
+
+  let fields = fieldValues(claim);
+  for (const edit of [...edits].reverse())
+    for (const [key, change] of Object.entries(edit.changes)) if (key in fields) fields[key] = change.from;
+
+  claim.revisions = [{ version: 1, at: filed?.at ?? null, by: filed?.by ?? null, source: "filed", fields }];
+  for (const edit of edits) {
+    const to = Object.fromEntries(Object.entries(edit.changes).map(([key, change]) => [key, change.to]));
+    fields = { ...fields, ...to };
+    claim.revisions.push({
+      version: claim.revisions.length + 1,
+      at: edit.at,
+      by: edit.by,
+      source: "history",
+      changes: edit.changes,
+      fields
+    });
+  }
+  return claim;
+}
+
+/**
+ * Applies `updates` as a new revision. `source` says where the
+ * change came from (chat, adjuster, api); `reason` is kept
+ * with it. Returns the revision, or null when nothing changed.
+ */
+export function reviseClaim(claim, updates, { by, source, reason } = {}) {
+  ensureRevisions(claim);
+
+  const changes = {};
+  for (const [key, value] of Object.entries(updates))
+    if (String(claim[key] ?? "") !== String(value ?? "")) changes[key] = { from: claim[key] ?? null, to: value };
+  Object.assign(claim, updates);
+  if (!Object.keys(changes).length) return null;
+
+  const revision = {
+    version: claim.revisions.length + 1,
+    at: new Date().toISOString(),
+    by,
+    source,
+    changes,
+    fields: fieldValues(claim),
+    ...(reason ? { reason } : {})
+  };
+  claim.revisions = [...claim.revisions, revision];
+  appendHistory(claim, {
+    by,
+    action: "updated",
+    changes,
+    revision: revision.version,
+    ...(reason ? { note: reason } : {})
+  });
+  return revision;
+}
+
+/* =========================
+   POLICYHOLDER CHANGES
+   "amendable" on a state is "all" (every field but
+   the policy number), a list of fields, or absent
+   for none. Follow-up messages are taken until the
+   claim reaches a final status.
+========================= */
+export function amendableFields(claim) {
+  const rule = WORKFLOW.states[resolveStatus(claim.claim_status)]?.amendable;
+  const fields = Object.keys(getSchema(claim.schema).fields).filter(f => f !== "policy_number");
+  if (rule === "all") return fields;
+  return Array.isArray(rule) ? fields.filter(f => rule.includes(f)) : [];
+}
+
+export function acceptsFollowUps(claim) {
+  return allowedTransitions(claim.claim_status).length > 0;
+}
+
+export function addFollowUp(claim, { by, text }) {
+  const message = { at: new Date().toISOString(), by, text };
+  claim.messages = [...(claim.messages || []), message];
+  appendHistory(claim, { by, action: "message_added" });
+  return message;
+}
+
+/* =========================
+   FORMATTING
+========================= */
+function formatWhen(iso, lang) {
+  return new Date(iso).toLocaleString(localeFor(lang), { dateStyle: "medium", timeStyle: "short" });
+}
+
+function describeEntry(entry, lang) {
+  if (entry.action === "created") return t(lang, "timeline.created", { status: statusName(lang, entry.to) });
+  if (entry.action === "status_changed") return `${statusName(lang, entry.from)} → ${statusName(lang, entry.to)}`;
+  if (entry.action === "updated")
+    return t(lang, "timeline.updated", { fields: Object.keys(entry.changes || {}).join(", ") });
+  if (entry.action === "message_added") return t(lang, "timeline.message_added");
+  if (entry.action.startsWith("settlement_")) return t(lang, `timeline.${entry.action}`);
+  return entry.action.replace(/_/g, " ");
+}
+
+/**
+ * Internal entries (notes, assignments) and risk routing
+ * are left out unless the caller is staff. Statuses, teams and dates
+ * are shown in `lang`; notes stay as written.
+ */
+export function formatTimeline(claim, { internal = false, lang = "en" } = {}) {
+  return (
+    t(lang, "timeline.heading") + "\n" +
+    (claim.history || [])
+      .filter(e => internal || !e.internal)
+      .map(e => {
+        let line = `• ${formatWhen(e.at, lang)} — ${describeEntry(e, lang)}`;
+        const team = internal ? e.pending_with : customerTeam(e.pending_with, e.to);
+        if (team) line += ` (${t(lang, "timeline.pending_with", { team: teamName(lang, team) })})`;
+        if (e.by) line += ` · ${t(lang, "timeline.by", { name: e.by })}`;
+        if (e.note) line += `\n   “${e.note}”`;
+        return line;
+      })
+      .join("\n")
+  );
+}
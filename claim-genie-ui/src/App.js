@@ -1,6 +1,11 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import Home from './components/Home';
 import ClaimGenie from './components/ClaimGenie';
+import Login from './components/Login';
+import RequireRole from './components/RequireRole';
+import AdminDashboard from './components/AdminDashboard';
+import AdminClaimDetail from './components/AdminClaimDetail';
+import AdminReports from './components/AdminReports';
 import './App.css';
 
 function App() {
@@ -9,6 +14,14 @@ function App() {
       <Routes>
         <Route path='/' element={<Home/>}></Route>
         <Route path='/chat' element={<ClaimGenie/>}></Route>
+        <Route path='/login' element={<Login/>}></Route>
+        <Route path='/agent' element={<RequireRole roles={["agent"]}><ClaimGenie agent/></RequireRole>}></Route>
+        <Route path='/admin' element={<RequireRole roles={["adjuster"]}><AdminDashboard/></RequireRole>}></Route>
+        <Route
+          path='/admin/claims/:id'
+          element={<RequireRole roles={["adjuster"]}><AdminClaimDetail/></RequireRole>}
+        ></Route>
+        <Route path='/admin/reports' element={<RequireRole roles={["adjuster"]}><AdminReports/></RequireRole>}></Route>
       </Routes>
     </BrowserRouter>
   );
@@ -0,0 +1,46 @@
+import axios from "axios";
+import { getAuth, clearAuth } from "./auth";
+
+export const API_BASE = process.env.REACT_APP_API_BASE || "http://localhost:5000/api";
+
+export const API_ORIGIN = API_BASE.replace(/\/api\/?$/, "");
+
+// Requests from staff pages carry the sign-in token; once it is
+// refused the user is sent back to sign in
+export const staffApi = axios.create();
+
+staffApi.interceptors.request.use(config => {
+    const auth = getAuth();
+    if (auth) config.headers.Authorization = `Bearer ${auth.token}`;
+    return config;
+});
+
+staffApi.interceptors.response.use(null, err => {
+    if (err.response?.status === 401) {
+        clearAuth();
+        window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+    }
+    return Promise.reject(err);
+});
+
+export const authHeaders = () => {
+    const auth = getAuth();
+    return auth ? { Authorization: `Bearer ${auth.token}` } : {};
+};
+
+const fileName = (disposition = "") => {
+    const encoded = /filename\*=UTF-8''([^;]+)/i.exec(disposition);
+    if (encoded) return decodeURIComponent(encoded[1]);
+    return /filename="([^"]+)"/i.exec(disposition)?.[1] ?? "download";
+};
+
+// Plain links can't send a token, so files are fetched and then handed to the browser
+export async function saveFile(client, url, config = {}) {
+    const res = await client.request({ url, method: "get", responseType: "blob", ...config });
+    const href = URL.createObjectURL(res.data);
+    const link = document.createElement("a");
+    link.href = href;
+    link.download = fileName(res.headers["content-disposition"]);
+    link.click();
+    URL.revokeObjectURL(href);
+}
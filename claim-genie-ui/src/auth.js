@@ -0,0 +1,25 @@
+// The staff sign-in, kept in the browser until it expires.
+// Customers never sign in; the chat verifies them by policy.
+const AUTH_KEY = "claimgenie.staff";
+
+export function getAuth() {
+    try {
+        const auth = JSON.parse(localStorage.getItem(AUTH_KEY));
+        return auth && new Date(auth.expiresAt) > new Date() ? auth : null;
+    } catch {
+        return null;
+    }
+}
+
+export const saveAuth = (auth) => localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+
+export const clearAuth = () => localStorage.removeItem(AUTH_KEY);
+
+// Admins may use every page
+export const hasRole = (auth, roles) =>
+    Boolean(auth) && (auth.user.role === "admin" || roles.includes(auth.user.role));
+
+export const homeFor = (role) => (role === "agent" ? "/agent" : "/admin");
+
+// Only paths inside the app, so a crafted ?next= can't send anyone elsewhere
+export const safeNext = (next) => (next?.startsWith("/") && !next.startsWith("//") ? next : null);
@@ -0,0 +1,454 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { API_BASE, saveFile, staffApi } from "../api";
+import { getAuth, hasRole } from "../auth";
+import { formatAmount, formatDate, riskClass, statusClass } from "../format";
+import StaffMenu from "./StaffMenu";
+import "./Admin.css";
+
+const describeEntry = (e) => {
+    if (e.action === "created") return `Claim filed (${e.to})`;
+    if (e.action === "status_changed") return `${e.from} → ${e.to}`;
+    if (e.changes) return describeChanges(e.changes);
+    return e.action.replace(/_/g, " ");
+};
+
+const describeChanges = (changes) =>
+    Object.entries(changes)
+        .map(([field, c]) => `${field}: ${c.from ?? "—"} → ${c.to ?? "—"}`)
+        .join(", ");
+
+const label = (key) => key.replace(/_/g, " ");
+
+const describeDeduction = (d) => {
+    if (d.key === "sub_limit") return `${label(d.name)} sub-limit of ${formatAmount(d.limit)}`;
+    if (d.key === "co_pay") return `Co-pay ${d.rate}%`;
+    if (d.key === "sum_insured") return `Above Sum Insured of ${formatAmount(d.limit)}`;
+    if (d.key === "not_covered") return `Not covered (${label(d.category ?? "unknown")})`;
+    return label(d.key);
+};
+
+const describeInput = (turn) => {
+    if (turn.kind === "upload") return `📎 ${turn.input.filename}`;
+    if (turn.input.masked) return "🔐 (verification code)";
+    return turn.input.message;
+};
+
+export default function AdminClaimDetail() {
+    const { id } = useParams();
+
+    const [meta, setMeta] = useState(null);
+    const [claim, setClaim] = useState(null);
+    const [policy, setPolicy] = useState(null);
+    const [transcript, setTranscript] = useState(null);
+    const [replay, setReplay] = useState(null);
+    const [statusNote, setStatusNote] = useState("");
+    const [noteText, setNoteText] = useState("");
+    const [payout, setPayout] = useState("");
+    const [payoutNote, setPayoutNote] = useState("");
+    const [error, setError] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const loadClaim = useCallback(async () => {
+        try {
+            const res = await staffApi.get(`${API_BASE}/claims/${id}`);
+            setClaim(res.data);
+
+            const pol = await staffApi.get(`${API_BASE}/policies/${res.data.policy_number}`).catch(() => null);
+            setPolicy(pol?.data ?? null);
+
+            const chat = await staffApi.get(`${API_BASE}/claims/${id}/transcript`).catch(() => null);
+            setTranscript(chat?.data ?? null);
+        } catch (err) {
+            setError(err.response?.data?.error || "Could not load claim.");
+        }
+    }, [id]);
+
+    useEffect(() => {
+        staffApi.get(`${API_BASE}/claims/meta`).then(res => setMeta(res.data));
+        loadClaim();
+    }, [loadClaim]);
+
+    const run = async (request) => {
+        setBusy(true);
+        setError("");
+        try {
+            await request();
+            loadClaim();
+            return true;
+        } catch (err) {
+            setError(err.response?.data?.error || "Something went wrong.");
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const moveTo = async (status) => {
+        const ok = await run(() =>
+            staffApi.patch(`${API_BASE}/claims/${id}/status`, { status, note: statusNote.trim() || undefined })
+        );
+        if (ok) setStatusNote("");
+    };
+
+    const rescore = () => run(() => staffApi.post(`${API_BASE}/claims/${id}/risk`));
+
+    const recalculate = () => run(() => staffApi.post(`${API_BASE}/claims/${id}/settlement`));
+
+    // An empty amount approves the calculated payout
+    const decide = async (e) => {
+        e.preventDefault();
+        const body = { amount: payout.trim() || undefined, note: payoutNote.trim() || undefined };
+        const ok = await run(() => staffApi.patch(`${API_BASE}/claims/${id}/settlement`, body));
+        if (ok) {
+            setPayout("");
+            setPayoutNote("");
+        }
+    };
+
+    const replayChat = () =>
+        run(async () => {
+            const res = await staffApi.post(`${API_BASE}/transcripts/${transcript.transcriptId}/replay`);
+            setReplay(res.data);
+        });
+
+    const replayed = (seq) => replay?.turns.find(t => t.seq === seq);
+
+    // Replaying runs the chat again, so it is for admins
+    const canReplay = hasRole(getAuth(), []);
+
+    const download = (a) =>
+        saveFile(staffApi, `${API_BASE}/claims/${claim.claimId}/attachments/${a.id}`)
+            .catch(() => setError(`Could not download ${a.filename}.`));
+
+    const addNote = async (e) => {
+        e.preventDefault();
+        if (!noteText.trim()) return;
+        const ok = await run(() => staffApi.post(`${API_BASE}/claims/${id}/notes`, { text: noteText }));
+        if (ok) setNoteText("");
+    };
+
+    if (!claim) {
+        return (
+            <div className="adm-app">
+                <Link className="adm-link" to="/admin">‹ All claims</Link>
+                <div className="adm-card adm-pad">{error || "Loading…"}</div>
+            </div>
+        );
+    }
+
+    const next = meta?.states[claim.claim_status]?.next || [];
+    const fields = meta?.schemas[claim.schema ?? "motor"]?.fields || meta?.fields || {};
+    const { settlement } = claim;
+
+    return (
+        <div className="adm-app">
+            <div className="adm-header">
+                <div>
+                    <Link className="adm-link" to="/admin">‹ All claims</Link>
+                    <div className="adm-title">
+                        {claim.claimId} <span className={statusClass(claim.claim_status)}>{claim.claim_status}</span>
+                    </div>
+                    <div className="adm-subtitle">
+                        Pending with {claim.pending_with ?? "—"} · Filed {formatDate(claim.createdAt)}
+                        {claim.agent && ` by agent ${claim.agent.name}`}
+                    </div>
+                </div>
+                <StaffMenu />
+            </div>
+
+            {error && <div className="adm-error">{error}</div>}
+
+            <div className="adm-grid">
+                <div className="adm-card adm-pad">
+                    <h3>Claim Details</h3>
+                    <dl className="adm-fields">
+                        {Object.entries(fields).map(([key, label]) => (
+                            <div key={key}>
+                                <dt>{label}</dt>
+                                <dd>{key === "claim_amount" ? formatAmount(claim[key]) : claim[key] ?? "—"}</dd>
+                            </div>
+                        ))}
+                    </dl>
+
+                    {claim.eligibility && (
+                        <>
+                            <h3>Eligibility</h3>
+                            <p className="adm-muted">
+                                {claim.eligibility.status.replace(/_/g, " ")} · checked {formatDate(claim.eligibility.checkedAt)}
+                            </p>
+                            <ul className="adm-findings">
+                                {claim.eligibility.rejections.map((r, i) => (
+                                    <li key={`r${i}`} className="reject">❌ {r.message}</li>
+                                ))}
+                                {claim.eligibility.warnings.map((w, i) => (
+                                    <li key={`w${i}`} className="warn">⚠️ {w.message}</li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+
+                    {claim.flags?.length > 0 && (
+                        <>
+                            <h3>Review Flags</h3>
+                            <ul className="adm-findings">
+                                {claim.flags.map((f, i) => (
+                                    <li key={i} className="warn">🚩 {f.message}</li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+
+                    <h3>Risk</h3>
+                    {claim.risk ? (
+                        <>
+                            <p className="adm-muted">
+                                <span className={riskClass(claim.risk.level)}>{claim.risk.score}</span>{" "}
+                                {claim.risk.level} risk · scored {formatDate(claim.risk.scoredAt)}
+                            </p>
+                            <ul className="adm-findings">
+                                {claim.risk.reasons.map(r => (
+                                    <li key={r.code} className={claim.risk.level === "high" ? "reject" : "warn"}>
+                                        +{r.points} {r.message}
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    ) : (
+                        <p className="adm-muted">Not scored yet.</p>
+                    )}
+                    <div className="adm-actions">
+                        <button className="adm-btn" disabled={busy} onClick={rescore}>Rescore</button>
+                    </div>
+
+                    <h3>Settlement</h3>
+                    {settlement ? (
+                        <>
+                            <p className="adm-muted">
+                                {settlement.basis} · calculated {formatDate(settlement.calculatedAt)}
+                                {settlement.vehicleAge != null && ` · vehicle ${settlement.vehicleAge} yrs`}
+                            </p>
+                            <dl className="adm-fields">
+                                <div>
+                                    <dt>Claimed</dt>
+                                    <dd>{formatAmount(settlement.claimed)}</dd>
+                                </div>
+                                {(settlement.items || []).map((item, i) => (
+                                    <div key={`i${i}`}>
+                                        <dt>{item.part ?? label(item.key)} ({label(item.material)})</dt>
+                                        <dd>{formatAmount(item.amount)} less {item.rate}%</dd>
+                                    </div>
+                                ))}
+                                {settlement.deductions.map((d, i) => (
+                                    <div key={`d${i}`}>
+                                        <dt>{describeDeduction(d)}</dt>
+                                        <dd>−{formatAmount(d.amount)}</dd>
+                                    </div>
+                                ))}
+                                <div>
+                                    <dt>Payable</dt>
+                                    <dd><strong>{formatAmount(settlement.payable)}</strong></dd>
+                                </div>
+                            </dl>
+                            {settlement.decision && (
+                                <p className="adm-muted">
+                                    {settlement.decision.status === "approved" ? "✅ Approved" : "✏️ Overridden"}{" "}
+                                    at {formatAmount(settlement.decision.amount)}
+                                    {" · "}{settlement.decision.by} · {formatDate(settlement.decision.at)}
+                                    {settlement.decision.note && ` — “${settlement.decision.note}”`}
+                                </p>
+                            )}
+                            <form className="adm-note-form" onSubmit={decide}>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    placeholder="Override amount"
+                                    value={payout}
+                                    onChange={e => setPayout(e.target.value)}
+                                />
+                                <input
+                                    placeholder="Note (optional)"
+                                    value={payoutNote}
+                                    onChange={e => setPayoutNote(e.target.value)}
+                                />
+                                <button type="submit" className="adm-btn primary" disabled={busy}>
+                                    {payout.trim() ? "Override" : "Approve"}
+                                </button>
+                            </form>
+                        </>
+                    ) : (
+                        <p className="adm-muted">No settlement calculated.</p>
+                    )}
+                    <div className="adm-actions">
+                        <button className="adm-btn" disabled={busy} onClick={recalculate}>Recalculate</button>
+                    </div>
+
+                    <h3>Move Claim</h3>
+                    {next.length ? (
+                        <>
+                            <textarea
+                                className="adm-textarea"
+                                placeholder="Reason / note for the policyholder (optional)"
+                                value={statusNote}
+                                onChange={e => setStatusNote(e.target.value)}
+                            />
+                            <div className="adm-actions">
+                                {next.map(s => (
+                                    <button key={s} className="adm-btn primary" disabled={busy} onClick={() => moveTo(s)}>
+                                        {s}
+                                    </button>
+                                ))}
+                            </div>
+                        </>
+                    ) : (
+                        <p className="adm-muted">{claim.claim_status} is a final status.</p>
+                    )}
+
+                    <h3>Attachments</h3>
+                    <ul className="adm-notes">
+                        {(claim.attachments || []).map(a => (
+                            <li key={a.id}>
+                                <button type="button" className="adm-file" onClick={() => download(a)}>
+                                    {a.filename}
+                                </button>
+                                <div className="adm-muted">{a.mimeType} · {a.uploadedBy} · {formatDate(a.uploadedAt)}</div>
+                                {a.extracted?.claim_amount && (
+                                    <div className="adm-muted">Document total: {formatAmount(a.extracted.claim_amount)}</div>
+                                )}
+                            </li>
+                        ))}
+                        {!claim.attachments?.length && <li className="adm-muted">No documents uploaded.</li>}
+                    </ul>
+
+                    <h3>Messages from Policyholder</h3>
+                    <ul className="adm-notes">
+                        {(claim.messages || []).map((m, i) => (
+                            <li key={i}>
+                                <div>{m.text}</div>
+                                <div className="adm-muted">{m.by} · {formatDate(m.at)}</div>
+                            </li>
+                        ))}
+                        {!claim.messages?.length && <li className="adm-muted">No messages.</li>}
+                    </ul>
+
+                    <h3>Revisions</h3>
+                    <ul className="adm-notes">
+                        {[...(claim.revisions || [])].reverse().map(r => (
+                            <li key={r.version}>
+                                <div>
+                                    <strong>v{r.version}</strong>{" "}
+                                    {r.changes ? describeChanges(r.changes) : "As filed"}
+                                </div>
+                                {r.reason && <div className="adm-quote">“{r.reason}”</div>}
+                                <div className="adm-muted">
+                                    {r.by ?? "—"} · {r.source} · {formatDate(r.at)}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <h3>Internal Notes</h3>
+                    <ul className="adm-notes">
+                        {(claim.notes || []).map((n, i) => (
+                            <li key={i}>
+                                <div>{n.text}</div>
+                                <div className="adm-muted">{n.by} · {formatDate(n.at)}</div>
+                            </li>
+                        ))}
+                        {!claim.notes?.length && <li className="adm-muted">No notes yet.</li>}
+                    </ul>
+                    <form className="adm-note-form" onSubmit={addNote}>
+                        <input
+                            placeholder="Add a note for the claims team"
+                            value={noteText}
+                            onChange={e => setNoteText(e.target.value)}
+                        />
+                        <button type="submit" className="adm-btn primary" disabled={busy}>Add</button>
+                    </form>
+                </div>
+
+                <div>
+                    <div className="adm-card adm-pad">
+                        <h3>📄 Policy {claim.policy_number}</h3>
+                        {policy ? (
+                            policy.sections.map(s => (
+                                <div key={s.title} className="adm-section">
+                                    <h4>{s.icon} {s.title}</h4>
+                                    <dl className="adm-fields">
+                                        {s.rows.map(([label, value]) => (
+                                            <div key={label}>
+                                                <dt>{label}</dt>
+                                                <dd>{value}</dd>
+                                            </div>
+                                        ))}
+                                    </dl>
+                                </div>
+                            ))
+                        ) : (
+                            <p className="adm-muted">Policy not found.</p>
+                        )}
+                    </div>
+
+                    <div className="adm-card adm-pad">
+                        <h3>🕒 Timeline</h3>
+                        <ul className="adm-timeline">
+                            {(claim.history || []).map((e, i) => (
+                                <li key={i} className={e.internal ? "internal" : ""}>
+                                    <div>{describeEntry(e)}</div>
+                                    <div className="adm-muted">
+                                        {formatDate(e.at)}{e.by ? ` · ${e.by}` : ""}
+                                        {e.pending_with ? ` · pending with ${e.pending_with}` : ""}
+                                    </div>
+                                    {e.note && <div className="adm-quote">“{e.note}”</div>}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    <div className="adm-card adm-pad">
+                        <h3>💬 Chat Transcript</h3>
+                        {transcript ? (
+                            <>
+                                {canReplay && (
+                                    <div className="adm-actions">
+                                        <button className="adm-btn" disabled={busy} onClick={replayChat}>
+                                            Replay
+                                        </button>
+                                        {replay && (
+                                            <span className="adm-muted">
+                                                {replay.matched} matched · {replay.differed} differed
+                                                · {replay.skipped} skipped
+                                            </span>
+                                        )}
+                                    </div>
+                                )}
+                                <ul className="adm-transcript">
+                                    {transcript.turns.map(turn => {
+                                        const again = replayed(turn.seq);
+                                        return (
+                                            <li key={turn.seq} className={again?.match === false ? "differs" : ""}>
+                                                <div className="adm-turn-user">{describeInput(turn)}</div>
+                                                <div className="adm-turn-bot">{turn.output.reply}</div>
+                                                {again?.match === false && (
+                                                    <div className="adm-turn-bot replayed">{again.replayed}</div>
+                                                )}
+                                                <div className="adm-muted">
+                                                    {formatDate(turn.at)}
+                                                    {" · "}{turn.stateBefore.state} → {turn.stateAfter.state}
+                                                    {turn.llmCalls.length > 0 && ` · ${turn.llmCalls.length} LLM call(s)`}
+                                                    {again?.skipped ? ` · not replayed (${again.skipped})` : ""}
+                                                </div>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            </>
+                        ) : (
+                            <p className="adm-muted">This claim wasn’t filed through the chat.</p>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
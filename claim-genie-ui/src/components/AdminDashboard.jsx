@@ -0,0 +1,177 @@
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { API_BASE, staffApi } from "../api";
+import { formatAmount, formatDate, riskClass, statusClass } from "../format";
+import StaffMenu from "./StaffMenu";
+import "./Admin.css";
+
+const PAGE_SIZE = 20;
+
+const COLUMNS = [
+    ["claimId", "Claim ID"],
+    ["policy_number", "Policy"],
+    ["claimant_name", "Claimant"],
+    ["claim_type", "Type"],
+    ["incident_date", "Incident Date"],
+    ["claim_amount", "Amount"],
+    ["claim_status", "Status"],
+    ["pending_with", "Pending With"],
+    ["risk", "Risk"],
+    ["createdAt", "Filed On"]
+];
+
+const EMPTY_FILTERS = { policy: "", status: "", risk: "", from: "", to: "", minAmount: "", maxAmount: "" };
+
+export default function AdminDashboard() {
+    const navigate = useNavigate();
+
+    const [meta, setMeta] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [query, setQuery] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState({ field: "createdAt", order: "desc" });
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ claims: [], total: 0 });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        staffApi.get(`${API_BASE}/claims/meta`)
+            .then(res => setMeta(res.data))
+            .catch(() => setError("Could not load claim settings."));
+    }, []);
+
+    useEffect(() => {
+        const params = { sort: sort.field, order: sort.order, page, pageSize: PAGE_SIZE };
+        Object.entries(query).forEach(([k, v]) => {
+            if (v !== "") params[k] = v;
+        });
+
+        setLoading(true);
+        staffApi.get(`${API_BASE}/claims`, { params })
+            .then(res => {
+                setResult(res.data);
+                setError("");
+            })
+            .catch(err => setError(err.response?.data?.error || "Could not load claims."))
+            .finally(() => setLoading(false));
+    }, [query, sort, page]);
+
+    const updateFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+    const applyFilters = (e) => {
+        e.preventDefault();
+        setPage(1);
+        setQuery(filters);
+    };
+
+    const clearFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setQuery(EMPTY_FILTERS);
+        setPage(1);
+    };
+
+    const toggleSort = (field) => {
+        if (!meta?.sortFields.includes(field)) return;
+        setSort(prev => ({
+            field,
+            order: prev.field === field && prev.order === "asc" ? "desc" : "asc"
+        }));
+    };
+
+    const pages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+    return (
+        <div className="adm-app">
+            <div className="adm-header">
+                <div>
+                    <div className="adm-title">ClaimGenie · Claims Desk</div>
+                    <div className="adm-subtitle">{result.total} claim{result.total === 1 ? "" : "s"}</div>
+                </div>
+                <div className="adm-nav">
+                    <Link className="adm-link" to="/admin/reports">Reports</Link>
+                    <Link className="adm-link" to="/">Home</Link>
+                    <StaffMenu />
+                </div>
+            </div>
+
+            <form className="adm-filters" onSubmit={applyFilters}>
+                <input placeholder="Policy number" value={filters.policy} onChange={updateFilter("policy")} />
+                <select value={filters.status} onChange={updateFilter("status")}>
+                    <option value="">All statuses</option>
+                    {Object.keys(meta?.states || {}).map(s => (
+                        <option key={s} value={s}>{s}</option>
+                    ))}
+                </select>
+                <select value={filters.risk} onChange={updateFilter("risk")}>
+                    <option value="">Any risk</option>
+                    {(meta?.riskLevels || []).map(r => (
+                        <option key={r} value={r}>{r}</option>
+                    ))}
+                </select>
+                <label>
+                    From <input type="date" value={filters.from} onChange={updateFilter("from")} />
+                </label>
+                <label>
+                    To <input type="date" value={filters.to} onChange={updateFilter("to")} />
+                </label>
+                <input type="number" min="0" placeholder="Min ₹" value={filters.minAmount} onChange={updateFilter("minAmount")} />
+                <input type="number" min="0" placeholder="Max ₹" value={filters.maxAmount} onChange={updateFilter("maxAmount")} />
+                <button type="submit" className="adm-btn primary">Apply</button>
+                <button type="button" className="adm-btn" onClick={clearFilters}>Clear</button>
+            </form>
+
+            {error && <div className="adm-error">{error}</div>}
+
+            <div className="adm-card">
+                <table className="adm-table">
+                    <thead>
+                        <tr>
+                            {COLUMNS.map(([field, label]) => {
+                                const sortable = meta?.sortFields.includes(field);
+                                const arrow = sort.field === field ? (sort.order === "asc" ? " ▲" : " ▼") : "";
+                                return (
+                                    <th
+                                        key={field}
+                                        className={sortable ? "sortable" : ""}
+                                        onClick={() => toggleSort(field)}
+                                    >
+                                        {label}{arrow}
+                                    </th>
+                                );
+                            })}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {result.claims.map(c => (
+                            <tr key={c.claimId} onClick={() => navigate(`/admin/claims/${c.claimId}`)}>
+                                <td className="adm-mono">{c.claimId}</td>
+                                <td>{c.policy_number}</td>
+                                <td>{c.claimant_name}</td>
+                                <td>{c.claim_type}</td>
+                                <td>{c.incident_date}</td>
+                                <td>{formatAmount(c.claim_amount)}</td>
+                                <td><span className={statusClass(c.claim_status)}>{c.claim_status}</span></td>
+                                <td>{c.pending_with ?? "—"}</td>
+                                <td>
+                                    <span className={riskClass(c.risk?.level)}>{c.risk ? c.risk.score : "—"}</span>
+                                </td>
+                                <td>{formatDate(c.createdAt)}</td>
+                            </tr>
+                        ))}
+                        {!loading && !result.claims.length && (
+                            <tr className="adm-empty">
+                                <td colSpan={COLUMNS.length}>No claims match these filters.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="adm-pager">
+                <button className="adm-btn" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Prev</button>
+                <span>Page {page} of {pages}</span>
+                <button className="adm-btn" disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Next ›</button>
+            </div>
+        </div>
+    );
+}
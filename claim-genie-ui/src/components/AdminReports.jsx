@@ -0,0 +1,157 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { API_BASE, saveFile, staffApi } from "../api";
+import { formatAmount } from "../format";
+import StaffMenu from "./StaffMenu";
+import "./Admin.css";
+
+const EMPTY_FILTERS = { type: "", status: "", filedFrom: "", filedTo: "" };
+
+const CHARTS = [
+    ["byMonth", "Claims by Month Filed"],
+    ["byStatus", "Claims by Status"],
+    ["byPolicyType", "Claims by Policy Type"],
+    ["byClaimType", "Claims by Claim Type"],
+    ["byLocation", "Claims by Location"]
+];
+
+// Long free-text groupings keep their largest entries
+const MAX_BARS = 10;
+
+const toParams = (query) => Object.fromEntries(Object.entries(query).filter(([, v]) => v !== ""));
+
+function BarChart({ title, groups }) {
+    const shown = groups.slice(0, MAX_BARS);
+    const max = Math.max(1, ...shown.map(g => g.count));
+
+    return (
+        <div className="adm-card adm-pad">
+            <h3>{title}</h3>
+            {shown.length ? (
+                <ul className="adm-bars">
+                    {shown.map(g => (
+                        <li key={g.key}>
+                            <span className="adm-bar-label" title={g.label}>{g.label}</span>
+                            <span className="adm-bar-track">
+                                <span className="adm-bar" style={{ width: `${(g.count / max) * 100}%` }} />
+                            </span>
+                            <span className="adm-bar-value">
+                                {g.count} · {formatAmount(g.totalAmount)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="adm-muted">No claims.</p>
+            )}
+            {groups.length > shown.length && (
+                <p className="adm-muted">and {groups.length - shown.length} more (see the XLSX export)</p>
+            )}
+        </div>
+    );
+}
+
+export default function AdminReports() {
+    const [meta, setMeta] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [query, setQuery] = useState(EMPTY_FILTERS);
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        staffApi.get(`${API_BASE}/claims/meta`)
+            .then(res => setMeta(res.data))
+            .catch(() => setError("Could not load claim settings."));
+    }, []);
+
+    useEffect(() => {
+        staffApi.get(`${API_BASE}/reports/summary`, { params: toParams(query) })
+            .then(res => {
+                setSummary(res.data);
+                setError("");
+            })
+            .catch(err => setError(err.response?.data?.error || "Could not load the report."));
+    }, [query]);
+
+    const updateFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+    const applyFilters = (e) => {
+        e.preventDefault();
+        setQuery(filters);
+    };
+
+    const clearFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setQuery(EMPTY_FILTERS);
+    };
+
+    const download = (format) =>
+        saveFile(staffApi, `${API_BASE}/reports/claims.${format}`, { params: toParams(query) })
+            .catch(() => setError("Could not download the export."));
+
+    return (
+        <div className="adm-app">
+            <div className="adm-header">
+                <div>
+                    <Link className="adm-link" to="/admin">‹ All claims</Link>
+                    <div className="adm-title">ClaimGenie · Reports</div>
+                </div>
+                <div className="adm-actions">
+                    <button type="button" className="adm-btn" onClick={() => download("csv")}>⬇ CSV</button>
+                    <button type="button" className="adm-btn" onClick={() => download("xlsx")}>⬇ Excel</button>
+                    <StaffMenu />
+                </div>
+            </div>
+
+            <form className="adm-filters" onSubmit={applyFilters}>
+                <select value={filters.type} onChange={updateFilter("type")}>
+                    <option value="">All policy types</option>
+                    {Object.entries(meta?.schemas || {}).map(([type, s]) => (
+                        <option key={type} value={type}>{s.title}</option>
+                    ))}
+                </select>
+                <select value={filters.status} onChange={updateFilter("status")}>
+                    <option value="">All statuses</option>
+                    {Object.keys(meta?.states || {}).map(s => (
+                        <option key={s} value={s}>{s}</option>
+                    ))}
+                </select>
+                <label>
+                    Filed from <input type="date" value={filters.filedFrom} onChange={updateFilter("filedFrom")} />
+                </label>
+                <label>
+                    To <input type="date" value={filters.filedTo} onChange={updateFilter("filedTo")} />
+                </label>
+                <button type="submit" className="adm-btn primary">Apply</button>
+                <button type="button" className="adm-btn" onClick={clearFilters}>Clear</button>
+            </form>
+
+            {error && <div className="adm-error">{error}</div>}
+
+            {summary && (
+                <>
+                    <div className="adm-stats">
+                        <div className="adm-card adm-pad">
+                            <div className="adm-muted">Claims</div>
+                            <div className="adm-stat">{summary.count}</div>
+                        </div>
+                        <div className="adm-card adm-pad">
+                            <div className="adm-muted">Total claimed</div>
+                            <div className="adm-stat">{formatAmount(summary.totalAmount)}</div>
+                        </div>
+                        <div className="adm-card adm-pad">
+                            <div className="adm-muted">Average claim</div>
+                            <div className="adm-stat">{formatAmount(summary.averageAmount)}</div>
+                        </div>
+                    </div>
+
+                    <div className="adm-report-grid">
+                        {CHARTS.map(([key, title]) => (
+                            <BarChart key={key} title={title} groups={summary[key]} />
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
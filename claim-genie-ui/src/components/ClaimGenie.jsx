@@ -1,61 +1,138 @@
 import { useState, useEffect, useRef } from "react";
 import axios from "axios";
+import { API_BASE, authHeaders, saveFile, staffApi } from "../api";
+import { postStream } from "../chatStream";
+import ReplyWidgets from "./ReplyWidgets";
+import StaffMenu from "./StaffMenu";
+import { LANGUAGES, strings, savedLanguage, saveLanguage } from "../i18n";
 import "./ClaimGenie.css";
 
-const API_URL = "https://legendary-space-carnival-gg4vwjqxgj5cwr6p-5000.app.github.dev/api/chat";
-//const API_URL = "https://zany-engine-97w7wpjg94w93xgjj-5000.app.github.dev/api/chat";
+const API_URL = `${API_BASE}/chat`;
+
+// The server session survives a page reload; its messages come back from /chat/history.
+// An agent's chat is kept apart from a customer's in the same browser
+const SESSION_KEY = "claimgenie.session";
+const AGENT_SESSION_KEY = "claimgenie.agentSession";
 
 const timeFmt=new Intl.DateTimeFormat(undefined, {
     hour: '2-digit', minute: '2-digit'
 });
 const formatTime=(ts) => timeFmt.format(new Date(ts));
 
-export default function ClaimGenie() {
+const restoredMsg = (m) => ({ id: crypto.randomUUID(), from: m.from, text: m.text, ui: m.ui, time: formatTime(m.at) });
+
+const ATTACHMENT_LINK = /(\/api\/claims\/\S+\/attachments\/\S+)/g;
+
+// Download paths in bot replies become buttons; the file comes through the chat session
+const renderText = (text, t, onDownload) =>
+    text.split(ATTACHMENT_LINK).map((part, i) =>
+        i % 2 ? (
+            <button key={i} type="button" className="cg-file-link" onClick={() => onDownload(part)}>
+                {t.download}
+            </button>
+        ) : (
+            part
+        )
+    );
+
+// `agent` is the agent desk: the same chat, signed in, filing for policyholders
+export default function ClaimGenie({ agent = false }) {
+    const client = agent ? staffApi : axios;
+    const sessionKey = agent ? AGENT_SESSION_KEY : SESSION_KEY;
 
-    const addMsg=(from, text) => {
+    const addMsg=(from, text, ui) => {
         const ts=Date.now();
-        return {id:crypto.randomUUID(), from, text, time:formatTime(ts) };
+        return {id:crypto.randomUUID(), from, text, ui, time:formatTime(ts) };
     };
-    const [messages, setMessages] = useState([
-        addMsg(            
-            "bot",
-                "Hi, I’m ClaimGenie 👋\n\n" +
-                "I can help you with:\n" +
-                "• Filing a new insurance claim\n" +
-                "• Check status of an existing claim\n\n" +
-                "👉 Enter your Policy Number to file a new claim\n" +
-                "👉 Or type \"Retrieve Claim\" to check an existing one",
-                
-        )
-    ]);
+    // The greeting has no text of its own so it follows the language picker
+    const greeting = () => ({ ...addMsg("bot", ""), greeting: true });
+    const [messages, setMessages] = useState(() => [greeting()]);
 
     const [input, setInput] = useState("");
-    const [sessionId, setSessionId] = useState(null);
+    const [sessionId, setSessionId] = useState(() => localStorage.getItem(sessionKey));
+    const [typing, setTyping] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [language, setLanguage] = useState(savedLanguage);
+    // Language the server last replied in; what "Auto" shows
+    const [replyLanguage, setReplyLanguage] = useState("en");
     const bottomRef = useRef();
 
+    const t = strings(language === "auto" ? replyLanguage : language);
+
+    const changeLanguage = (code) => {
+        setLanguage(code);
+        saveLanguage(code);
+    };
+
+    const keepSession = (id) => {
+        setSessionId(id);
+        if (id) localStorage.setItem(sessionKey, id);
+        else localStorage.removeItem(sessionKey);
+    };
+
+    // Picks up where a reloaded page left off; a session the server no longer has is forgotten
     useEffect(() => {
-        bottomRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+        const saved = localStorage.getItem(sessionKey);
+        if (!saved) return;
 
-    const sendMessage = async () => {
-        if (!input.trim()) return;
+        setBusy(true);
+        client.post(`${API_URL}/history`, { sessionId: saved })
+            .then(res => {
+                setReplyLanguage(res.data.language);
+                if (res.data.messages.length) {
+                    setMessages(prev => [prev[0], ...res.data.messages.map(restoredMsg)]);
+                }
+            })
+            .catch(err => {
+                if (err.response?.status === 404) {
+                    setSessionId(null);
+                    localStorage.removeItem(sessionKey);
+                }
+            })
+            .finally(() => setBusy(false));
+    }, [client, sessionKey]);
 
-        const text = input.trim();
-        setInput("");
+    const startOver = async () => {
+        if (busy) return;
+        setMessages([greeting()]);
+        if (!sessionId) return;
+
+        setBusy(true);
+        try {
+            const res = await client.post(API_URL, { message: "restart", sessionId, language });
+            keepSession(res.data.sessionId);
+        } catch {
+            keepSession(null);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    useEffect(() => {
+        bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, [messages, typing]);
+
+    const send = async (text) => {
+        if (!text || busy) return;
 
         // setMessages(prev => [...prev, { from: "user", text, time:getTime() }]);
         setMessages(prev => [...prev, addMsg("user", text)]);
+        setBusy(true);
+        setTyping(t.thinking);
 
         try {
-            const res = await axios.post(API_URL, {
-                message: text,
-                sessionId : sessionId
-            });
+            const body = { message: text, sessionId, language };
+            await postStream(`${API_URL}/stream`, body, agent ? authHeaders() : {}, (event, data) => {
+                if (event === "progress") setTyping(data.label);
 
-            if (!sessionId) setSessionId(res.data.sessionId);
+                if (event === "done") {
+                    keepSession(data.sessionId);
+                    if (data.language) setReplyLanguage(data.language);
+                    setMessages(prev => [...prev, addMsg("bot", data.reply, data.ui)]);
+                }
 
-            // setMessages(prev => [...prev, { from: "bot", text: res.data.reply ,time:getTime()}]);
-            setMessages(prev => [...prev, addMsg("bot", res.data.reply)]);
+                if (event === "error") setMessages(prev => [...prev, addMsg("bot", data.reply)]);
+            });
         } catch {
             // setMessages(prev => [
             //     ...prev,
@@ -63,11 +140,56 @@ export default function ClaimGenie() {
             // ]);
             setMessages(prev => [
                 ...prev,
-                addMsg("bot", "Server error. Please try again.")
+                addMsg("bot", t.serverError)
             ]);
+        } finally {
+            setTyping(null);
+            setBusy(false);
         }
     };
 
+    const sendMessage = () => {
+        const text = input.trim();
+        if (!text || busy) return;
+        setInput("");
+        send(text);
+    };
+
+    const uploadFile = async (file) => {
+        if (busy) return;
+        setMessages(prev => [...prev, addMsg("user", `📎 ${file.name}`)]);
+
+        const form = new FormData();
+        if (sessionId) form.append("sessionId", sessionId);
+        // Before the file, so the server can word upload errors in it
+        form.append("language", language);
+        form.append("file", file);
+        setBusy(true);
+        setTyping(t.reading);
+
+        try {
+            const res = await client.post(`${API_URL}/upload`, form);
+            keepSession(res.data.sessionId);
+            if (res.data.language) setReplyLanguage(res.data.language);
+            setMessages(prev => [...prev, addMsg("bot", res.data.reply, res.data.ui)]);
+        } catch (err) {
+            setMessages(prev => [
+                ...prev,
+                addMsg("bot", err.response?.data?.reply || t.uploadFailed)
+            ]);
+        } finally {
+            setTyping(null);
+            setBusy(false);
+        }
+    };
+
+    // path is /api/claims/<claim>/attachments/<attachment>
+    const downloadFile = (path) => {
+        const [, claimId, attachmentId] = path.match(/\/claims\/([^/]+)\/attachments\/([^/]+)/);
+        saveFile(client, `${API_URL}/attachment`, { method: "post", data: { sessionId, claimId, attachmentId } })
+            .catch(() => setMessages(prev => [...prev, addMsg("bot", t.downloadFailed)]));
+    };
+
     const handleKey = e => {
         if (e.key === "Enter") {
             e.preventDefault();
@@ -83,7 +205,25 @@ export default function ClaimGenie() {
                 <div className="cg-header">
                     <div className="cg-title">
                     ClaimGenie</div>
-                    <div className="cg-subtitle">Your AI Insurance Assistant</div>
+                    <div className="cg-subtitle">{agent ? t.agentSubtitle : t.subtitle}</div>
+                    {agent && (
+                        <div className="cg-agent">
+                            <StaffMenu className="cg-signout" />
+                        </div>
+                    )}
+                    <button className="cg-restart" onClick={startOver} disabled={busy}>
+                        {t.startOver}
+                    </button>
+                    <select
+                        className="cg-lang"
+                        aria-label={t.language}
+                        value={language}
+                        onChange={e => changeLanguage(e.target.value)}
+                    >
+                        {LANGUAGES.map(l => (
+                            <option key={l.code} value={l.code}>{l.name}</option>
+                        ))}
+                    </select>
                 </div>
 
                 <div className="cg-messages">
@@ -103,8 +243,11 @@ export default function ClaimGenie() {
    <div className={`cg-msg-block ${m.from}`}>
 
 <div className={`cg-bubble ${m.from}`}>
-     {m.text}
+     {m.greeting ? (agent ? t.agentGreeting : t.greeting) : renderText(m.text, t, downloadFile)}
 </div>
+{m.from === "bot" && (
+     <ReplyWidgets ui={m.ui} onSend={send} disabled={busy || i !== messages.length - 1} text={t} />
+)}
 <div className={`cg-time ${m.from}`}>
      {m.time}
 </div> </div>
@@ -114,19 +257,30 @@ export default function ClaimGenie() {
    )}
 </div>
 ))}
+                    {typing && (
+                        <div className="cg-message-row bot">
+                            <div className="cg-avatar bot-avatar">🤖</div>
+                            <div className="cg-msg-block bot">
+                                <div className="cg-bubble bot cg-typing">
+                                    <span className="cg-dots"><span /><span /><span /></span>
+                                    {typing}
+                                </div>
+                            </div>
+                        </div>
+                    )}
                     <div ref={bottomRef} />
                 </div>
 
                 <div className="cg-input-row">
                     <input
                         className="cg-input"
-                        placeholder="Type a message..."
+                        placeholder={t.placeholder}
                         value={input}
                         onChange={e => setInput(e.target.value)}
                         onKeyDown={handleKey}
                     />
 
-                    <label className="cg-upload-btn">
+                    <label className={`cg-upload-btn${busy ? " disabled" : ""}`}>
 <svg
    width="20"
    height="20"
@@ -142,11 +296,12 @@ export default function ClaimGenie() {
 <input
    type="file"
    hidden
+   disabled={busy}
+   accept=".jpg,.jpeg,.png,.webp,.pdf,.txt"
    onChange={(e) => {
      const file = e.target.files[0];
-     if (file) {
-       console.log("Uploaded:", file.name);
-     }
+     e.target.value = "";
+     if (file) uploadFile(file);
    }}
  />
 </label>
@@ -162,7 +317,7 @@ export default function ClaimGenie() {
                             }}
                         />
                     </label> */}
-                    <button className="cg-send-btn" onClick={sendMessage}>▶</button>
+                    <button className="cg-send-btn" onClick={sendMessage} disabled={busy}>▶</button>
                 </div>
             </div>
         </div>
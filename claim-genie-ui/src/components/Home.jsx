@@ -1,4 +1,4 @@
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import "./Home.css";
 
 export default function Home() {
@@ -50,7 +50,7 @@ export default function Home() {
             </div>
 
             <div className="footer">
- © {new Date().getFullYear()} ClaimGenie • Powered by GenAI
+ © {new Date().getFullYear()} ClaimGenie • Powered by GenAI • <Link to="/login">Staff sign in</Link>
 </div>
         </div>
     );
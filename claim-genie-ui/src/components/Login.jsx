@@ -0,0 +1,59 @@
+import { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { homeFor, safeNext, saveAuth } from "../auth";
+import "./Admin.css";
+
+export default function Login() {
+    const navigate = useNavigate();
+    const [params] = useSearchParams();
+
+    const [username, setUsername] = useState("");
+    const [password, setPassword] = useState("");
+    const [error, setError] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const signIn = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError("");
+        try {
+            const res = await axios.post(`${API_BASE}/auth/login`, { username, password });
+            saveAuth(res.data);
+            navigate(safeNext(params.get("next")) || homeFor(res.data.user.role), { replace: true });
+        } catch (err) {
+            setError(err.response?.data?.error || "Could not sign in. Please try again.");
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="adm-app">
+            <form className="adm-card adm-pad adm-login" onSubmit={signIn}>
+                <h3>ClaimGenie · Staff sign in</h3>
+                <p className="adm-muted">For agents, adjusters and admins. Policyholders can use the chat without signing in.</p>
+
+                {error && <div className="adm-error">{error}</div>}
+
+                <label>
+                    Username
+                    <input value={username} onChange={e => setUsername(e.target.value)} autoComplete="username" autoFocus />
+                </label>
+                <label>
+                    Password
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={e => setPassword(e.target.value)}
+                        autoComplete="current-password"
+                    />
+                </label>
+                <button type="submit" className="adm-btn primary" disabled={busy || !username || !password}>
+                    Sign in
+                </button>
+                <Link className="adm-muted" to="/chat">Go to the chat</Link>
+            </form>
+        </div>
+    );
+}
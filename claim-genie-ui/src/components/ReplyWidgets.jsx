@@ -0,0 +1,86 @@
+import { useState } from "react";
+
+// Renders the structured part of a bot reply. Every control
+// answers by sending an ordinary chat message through onSend.
+// Only fields the user filled in or changed are sent back
+function ClaimForm({ form, onSend, disabled }) {
+    const [values, setValues] = useState(() =>
+        Object.fromEntries(form.fields.map(f => [f.name, String(f.value ?? "")]))
+    );
+
+    const change = (name, value) => setValues(prev => ({ ...prev, [name]: value }));
+
+    const submit = (e) => {
+        e.preventDefault();
+        const lines = form.fields
+            .filter(f => values[f.name].trim() && values[f.name].trim() !== String(f.value ?? ""))
+            .map(f => `${f.label}: ${values[f.name].trim()}`);
+        if (lines.length) onSend(lines.join("\n"));
+    };
+
+    return (
+        <form className="cg-form" onSubmit={submit}>
+            {form.fields.map(f => (
+                <label key={f.name} className="cg-form-field">
+                    <span>{f.label}</span>
+                    {f.options ? (
+                        <select value={values[f.name]} disabled={disabled} onChange={e => change(f.name, e.target.value)}>
+                            <option value="">Select…</option>
+                            {f.options.map(o => <option key={o} value={o}>{o}</option>)}
+                        </select>
+                    ) : (
+                        <input value={values[f.name]} disabled={disabled} onChange={e => change(f.name, e.target.value)} />
+                    )}
+                </label>
+            ))}
+            <button type="submit" className="cg-chip primary" disabled={disabled}>
+                {form.submit || "Send"}
+            </button>
+        </form>
+    );
+}
+
+export default function ReplyWidgets({ ui, onSend, disabled, text }) {
+    if (!ui) return null;
+
+    return (
+        <div className="cg-widgets">
+            {ui.card && (
+                <div className="cg-card">
+                    <div className="cg-card-title">{ui.card.title}</div>
+                    <dl>
+                        {ui.card.rows.map(([label, value]) => (
+                            <div key={label} className="cg-card-row">
+                                <dt>{label}</dt>
+                                <dd>{value}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                </div>
+            )}
+
+            {ui.form && <ClaimForm form={ui.form} onSend={onSend} disabled={disabled} />}
+
+            {ui.confirm && (
+                <div className="cg-chips">
+                    <button className="cg-chip primary" disabled={disabled} onClick={() => onSend(ui.confirm.yes)}>
+                        {text.yes}
+                    </button>
+                    <button className="cg-chip" disabled={disabled} onClick={() => onSend(ui.confirm.no)}>
+                        {text.no}
+                    </button>
+                </div>
+            )}
+
+            {ui.actions && (
+                <div className="cg-chips">
+                    {ui.actions.map(a => (
+                        <button key={a.label} className="cg-chip" disabled={disabled} onClick={() => onSend(a.message)}>
+                            {a.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
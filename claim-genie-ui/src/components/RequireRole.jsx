@@ -0,0 +1,23 @@
+import { Navigate, useLocation } from "react-router-dom";
+import { getAuth, hasRole } from "../auth";
+import StaffMenu from "./StaffMenu";
+import "./Admin.css";
+
+// Staff pages: sign in first, then only the roles listed (and admins) get in
+export default function RequireRole({ roles, children }) {
+    const location = useLocation();
+    const auth = getAuth();
+
+    if (!auth) return <Navigate to={`/login?next=${encodeURIComponent(location.pathname)}`} replace />;
+    if (hasRole(auth, roles)) return children;
+
+    return (
+        <div className="adm-app">
+            <div className="adm-card adm-pad adm-login">
+                <h3>Not available</h3>
+                <p>This page is for {roles.join(" or ")} staff.</p>
+                <StaffMenu className="adm-btn" />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,27 @@
+import { useNavigate } from "react-router-dom";
+import { API_BASE, staffApi } from "../api";
+import { clearAuth, getAuth } from "../auth";
+import "./Admin.css";
+
+// Who is signed in, and the way out
+export default function StaffMenu({ className = "adm-link" }) {
+    const navigate = useNavigate();
+    const auth = getAuth();
+    if (!auth) return null;
+
+    const signOut = () => {
+        staffApi.post(`${API_BASE}/auth/logout`)
+            .catch(() => {})
+            .finally(() => {
+                clearAuth();
+                navigate("/login");
+            });
+    };
+
+    return (
+        <span className="adm-staff">
+            {auth.user.name} · {auth.user.role}
+            <button type="button" className={className} onClick={signOut}>Sign out</button>
+        </span>
+    );
+}
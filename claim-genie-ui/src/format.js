@@ -0,0 +1,10 @@
+export const formatAmount = (amt) =>
+    amt === null || amt === undefined || amt === "" ? "—" : `₹${Number(amt).toLocaleString("en-IN")}`;
+
+export const formatDate = (iso) =>
+    iso ? new Date(iso).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" }) : "—";
+
+export const statusClass = (status) =>
+    `adm-status adm-status-${String(status).toLowerCase().replace(/\s+/g, "-")}`;
+
+export const riskClass = (level) => `adm-risk adm-risk-${level ?? "none"}`;
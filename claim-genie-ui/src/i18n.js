@@ -0,0 +1,97 @@
+// Text the chat window shows itself; bot replies arrive already
+// translated. "auto" lets the server follow the user's language.
+export const LANGUAGES = [
+    { code: "auto", name: "Auto" },
+    { code: "en", name: "English" },
+    { code: "hi", name: "हिन्दी" },
+    { code: "te", name: "తెలుగు" }
+];
+
+const STRINGS = {
+    en: {
+        greeting:
+            "Hi, I’m ClaimGenie 👋\n\n" +
+            "I can help you with:\n" +
+            "• Filing a new insurance claim\n" +
+            "• Check status of an existing claim\n\n" +
+            "👉 Enter your Policy Number to get started",
+        subtitle: "Your AI Insurance Assistant",
+        agentGreeting:
+            "Agent desk 🧑‍💼\n\n" +
+            "File and follow up claims for a policyholder. No verification code is needed.\n\n" +
+            "👉 Enter the policyholder’s Policy Number",
+        agentSubtitle: "Filing for policyholders",
+        placeholder: "Type a message...",
+        thinking: "Thinking…",
+        reading: "Reading your document…",
+        serverError: "Server error. Please try again.",
+        uploadFailed: "Upload failed. Please try again.",
+        download: "Download",
+        downloadFailed: "Download failed. Please try again.",
+        language: "Language",
+        startOver: "↺ Start over",
+        yes: "Yes",
+        no: "No"
+    },
+    hi: {
+        greeting:
+            "नमस्ते, मैं ClaimGenie हूँ 👋\n\n" +
+            "मैं इनमें आपकी मदद कर सकता हूँ:\n" +
+            "• नया बीमा क्लेम दर्ज करना\n" +
+            "• मौजूदा क्लेम की स्थिति देखना\n\n" +
+            "👉 शुरू करने के लिए अपना पॉलिसी नंबर दर्ज करें",
+        subtitle: "आपका AI बीमा सहायक",
+        agentGreeting:
+            "एजेंट डेस्क 🧑‍💼\n\n" +
+            "पॉलिसीधारक के लिए क्लेम दर्ज करें और उनकी जानकारी लें। सत्यापन कोड की ज़रूरत नहीं है।\n\n" +
+            "👉 पॉलिसीधारक का पॉलिसी नंबर दर्ज करें",
+        agentSubtitle: "पॉलिसीधारकों की ओर से",
+        placeholder: "संदेश लिखें...",
+        thinking: "सोच रहा हूँ…",
+        reading: "आपका दस्तावेज़ पढ़ रहा हूँ…",
+        serverError: "सर्वर त्रुटि। कृपया फिर से कोशिश करें।",
+        uploadFailed: "अपलोड विफल रहा। कृपया फिर से कोशिश करें।",
+        download: "डाउनलोड",
+        downloadFailed: "डाउनलोड विफल रहा। कृपया फिर से कोशिश करें।",
+        language: "भाषा",
+        startOver: "↺ फिर से शुरू करें",
+        yes: "हाँ",
+        no: "नहीं"
+    },
+    te: {
+        greeting:
+            "నమస్తే, నేను ClaimGenie 👋\n\n" +
+            "నేను వీటిలో మీకు సహాయం చేయగలను:\n" +
+            "• కొత్త బీమా క్లెయిమ్ నమోదు చేయడం\n" +
+            "• ఉన్న క్లెయిమ్ స్థితి చూడటం\n\n" +
+            "👉 మొదలుపెట్టడానికి మీ పాలసీ నంబర్ నమోదు చేయండి",
+        subtitle: "మీ AI బీమా సహాయకుడు",
+        agentGreeting:
+            "ఏజెంట్ డెస్క్ 🧑‍💼\n\n" +
+            "పాలసీదారు కోసం క్లెయిమ్‌లు నమోదు చేసి, వాటి స్థితి చూడండి. ధృవీకరణ కోడ్ అవసరం లేదు.\n\n" +
+            "👉 పాలసీదారు పాలసీ నంబర్ నమోదు చేయండి",
+        agentSubtitle: "పాలసీదారుల తరఫున",
+        placeholder: "సందేశం టైప్ చేయండి...",
+        thinking: "ఆలోచిస్తున్నాను…",
+        reading: "మీ పత్రాన్ని చదువుతున్నాను…",
+        serverError: "సర్వర్ లోపం. దయచేసి మళ్లీ ప్రయత్నించండి.",
+        uploadFailed: "అప్‌లోడ్ విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.",
+        download: "డౌన్‌లోడ్",
+        downloadFailed: "డౌన్‌లోడ్ విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.",
+        language: "భాష",
+        startOver: "↺ మళ్లీ ప్రారంభించండి",
+        yes: "అవును",
+        no: "కాదు"
+    }
+};
+
+export const strings = (code) => STRINGS[code] || STRINGS.en;
+
+const STORAGE_KEY = "claimgenie.language";
+
+export const savedLanguage = () => {
+    const code = localStorage.getItem(STORAGE_KEY);
+    return LANGUAGES.some(l => l.code === code) ? code : "auto";
+};
+
+export const saveLanguage = (code) => localStorage.setItem(STORAGE_KEY, code);